@@ -0,0 +1,146 @@
+// lib/activities.js
+// Activity suitability: scores each forecast step for an activity ("Is tomorrow good for a run?")
+// against a profile of what that activity needs, and finds the best and worst time windows.
+// Scoring is deterministic, so the advice explains windows computed here instead of inventing them.
+// Profiles use the normalized (metric) units and can be extended or overridden with a JSON file.
+const fs = require('fs');
+
+// What each activity needs. All limits are optional:
+//   temperature: comfortable [min, max] °C of the feels-like temperature
+//   maxWind / maxGust: m/s; maxRain: mm per forecast step; maxUv: UV index
+//   hours: local [from, to) hours in which the activity makes sense (e.g. daylight)
+const ACTIVITY_PROFILES = {
+    running: { label: 'Running', temperature: [5, 20], maxWind: 8, maxGust: 13, maxRain: 0.5, maxUv: 6, hours: [6, 21] },
+    cycling: { label: 'Cycling', temperature: [10, 26], maxWind: 6, maxGust: 11, maxRain: 0.2, maxUv: 7, hours: [6, 21] },
+    hiking: { label: 'Hiking', temperature: [8, 24], maxWind: 10, maxGust: 15, maxRain: 0.5, maxUv: 7, hours: [6, 19] },
+    walking: { label: 'Walking', temperature: [5, 26], maxWind: 10, maxGust: 16, maxRain: 1, maxUv: 8, hours: [7, 22] },
+    bbq: { label: 'BBQ', temperature: [16, 30], maxWind: 7, maxGust: 12, maxRain: 0.1, maxUv: 8, hours: [11, 22] },
+    picnic: { label: 'Picnic', temperature: [18, 28], maxWind: 6, maxGust: 10, maxRain: 0.1, maxUv: 7, hours: [10, 19] },
+    beach: { label: 'Beach', temperature: [22, 34], maxWind: 8, maxGust: 12, maxRain: 0.1, maxUv: 9, hours: [9, 19] },
+    gardening: { label: 'Gardening', temperature: [10, 27], maxWind: 9, maxGust: 14, maxRain: 0.5, maxUv: 7, hours: [7, 20] }
+};
+
+// Scores at or above GOOD are "good", at or above FAIR "fair", anything lower "poor"
+const GOOD_SCORE = 75;
+const FAIR_SCORE = 50;
+const MAX_WINDOWS = 3;
+const DEFAULT_STEP_SECONDS = 3 * 60 * 60;
+
+// Merges the built-in profiles with the ones in a JSON file ({ "<activity>": { label, temperature, ... } }).
+// File entries override built-in limits field by field; new activities need at least a label.
+function loadActivityProfiles(file) {
+    if (!file) return ACTIVITY_PROFILES;
+    const overrides = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const profiles = { ...ACTIVITY_PROFILES };
+    for (const [name, override] of Object.entries(overrides)) {
+        const key = name.trim().toLowerCase();
+        if (!override || typeof override !== 'object' || (!profiles[key] && !override.label)) {
+            throw new Error(`Activity profile "${name}" in ${file} needs at least a "label".`);
+        }
+        profiles[key] = { ...profiles[key], ...override };
+    }
+    return profiles;
+}
+
+function localHour(timestamp, timeZone) {
+    const hour = new Intl.DateTimeFormat('en-US', { timeZone: timeZone || 'UTC', hourCycle: 'h23', hour: '2-digit' })
+        .formatToParts(new Date(timestamp * 1000))
+        .find(part => part.type === 'hour').value;
+    return Number(hour);
+}
+
+// Scores one forecast step from 0 to 100 and says what counts against it
+function scoreEntry(entry, profile, timeZone) {
+    const reasons = [];
+    let penalty = 0;
+    const addPenalty = (amount, reason) => {
+        penalty += amount;
+        if (!reasons.includes(reason)) reasons.push(reason);
+    };
+
+    if (profile.hours) {
+        const hour = localHour(entry.timestamp, timeZone);
+        if (hour < profile.hours[0] || hour >= profile.hours[1]) addPenalty(100, 'outside usual hours');
+    }
+    if (entry.condition === 'Thunderstorm') addPenalty(100, 'thunderstorm');
+
+    const feelsLike = entry.feelsLike ?? entry.temperature;
+    if (profile.temperature && typeof feelsLike === 'number') {
+        const [min, max] = profile.temperature;
+        if (feelsLike < min) addPenalty(Math.min((min - feelsLike) * 8, 60), 'too cold');
+        if (feelsLike > max) addPenalty(Math.min((feelsLike - max) * 8, 60), 'too hot');
+    }
+    if (typeof profile.maxWind === 'number' && entry.windSpeed > profile.maxWind) {
+        addPenalty(Math.min((entry.windSpeed - profile.maxWind) * 10, 50), 'too windy');
+    }
+    if (typeof profile.maxGust === 'number' && entry.windGust > profile.maxGust) {
+        addPenalty(15, 'gusty');
+    }
+    if (typeof profile.maxRain === 'number' && entry.rain > profile.maxRain) {
+        addPenalty(Math.min(30 + entry.rain * 10, 70), entry.condition === 'Snow' ? 'snow' : 'rain');
+    }
+    if (typeof profile.maxUv === 'number' && entry.uvIndex > profile.maxUv) {
+        addPenalty(Math.min((entry.uvIndex - profile.maxUv) * 8, 30), 'strong UV');
+    }
+
+    const score = Math.max(0, Math.round(100 - penalty));
+    return { score, rating: score >= GOOD_SCORE ? 'good' : score >= FAIR_SCORE ? 'fair' : 'poor', reasons };
+}
+
+// Joins consecutive steps that pass `test` into windows: { start, end, score (average), minScore, reasons }
+function findWindows(timeline, stepSeconds, test) {
+    const windows = [];
+    let current = null;
+    for (const step of timeline) {
+        const continues = current && step.timestamp - current.steps[current.steps.length - 1].timestamp <= stepSeconds;
+        if (!test(step)) {
+            current = null;
+            continue;
+        }
+        if (!continues) {
+            current = { steps: [] };
+            windows.push(current);
+        }
+        current.steps.push(step);
+    }
+
+    return windows.map(({ steps }) => ({
+        start: steps[0].timestamp,
+        end: steps[steps.length - 1].timestamp + stepSeconds,
+        score: Math.round(steps.reduce((total, step) => total + step.score, 0) / steps.length),
+        minScore: Math.min(...steps.map(step => step.score)),
+        reasons: [...new Set(steps.flatMap(step => step.reasons))]
+    }));
+}
+
+// Scores every step of `entries` (normalized, metric) for `activity` and picks the best and worst windows.
+// With a `timeWindow` (the time the user asked about), only the steps inside it are considered.
+// Returns { activity, label, timeline: [{ timestamp, score, rating, reasons }], bestWindows, worstWindows },
+// or null for an activity without a profile.
+function assessActivity(activity, entries, { timeZone, timeWindow = null, profiles = ACTIVITY_PROFILES } = {}) {
+    const profile = profiles[activity];
+    if (!profile) return null;
+
+    const steps = timeWindow
+        ? entries.filter(entry => entry.timestamp >= timeWindow.start && entry.timestamp < timeWindow.end)
+        : entries;
+    const stepSeconds = steps.length > 1 ? steps[1].timestamp - steps[0].timestamp : DEFAULT_STEP_SECONDS;
+    const timeline = steps.map(entry => ({ timestamp: entry.timestamp, ...scoreEntry(entry, profile, timeZone) }));
+
+    const bestWindows = findWindows(timeline, stepSeconds, step => step.rating === 'good')
+        .sort((a, b) => b.score - a.score || a.start - b.start)
+        .slice(0, MAX_WINDOWS);
+    // Only hours in which the activity makes sense can be "worst"; the weather has to be at fault
+    const worstWindows = findWindows(timeline, stepSeconds, step => step.rating === 'poor' && !step.reasons.includes('outside usual hours'))
+        .sort((a, b) => a.score - b.score || a.start - b.start)
+        .slice(0, MAX_WINDOWS);
+
+    return { activity, label: profile.label, timeline, bestWindows, worstWindows };
+}
+
+module.exports = {
+    ACTIVITY_PROFILES,
+    loadActivityProfiles,
+    scoreEntry,
+    assessActivity
+};
@@ -0,0 +1,71 @@
+// lib/advicesections.js
+// The sections weather advice is split into. Gaia writes each section under a "## <Title>" heading
+// (always the English title, whatever language the advice is in); the finished text is split on those
+// headings, so the UI can show each section as its own block. Text before the first heading is the summary.
+
+const ADVICE_SECTIONS = [
+    { id: 'clothing', title: 'Clothing', instructions: 'what to wear for this weather' },
+    { id: 'activities', title: 'Activities', instructions: 'activities that suit these conditions' },
+    { id: 'health', title: 'Health', instructions: 'health tips for this weather (hydration, sun protection, cold, allergies)' },
+    { id: 'commute', title: 'Commute', instructions: 'what the weather means for getting around' },
+    { id: 'tomorrow', title: 'Tomorrow', instructions: "tomorrow's outlook, then one short line per later forecast day with its high and low, conditions and any notable weather" }
+];
+
+const SECTION_IDS = ADVICE_SECTIONS.map(section => section.id);
+const SUMMARY_SECTION = { id: 'summary', title: 'Summary' };
+
+// The sections to ask for, in display order. `ids` are the ones wanted (every section when null);
+// "tomorrow" needs forecast days to talk about, so it is left out without them.
+function selectSections(ids, { hasForecastDays }) {
+    const wanted = ids || SECTION_IDS;
+    return ADVICE_SECTIONS.filter(section => wanted.includes(section.id) && (section.id !== 'tomorrow' || hasForecastDays));
+}
+
+// The section a heading line starts, or null. Matches headings that start with the title or id, with any
+// emoji, numbering or punctuation around it ("## 👕 Clothing:", "### 2. clothing", "## Health and safety").
+function sectionForHeading(line, sections) {
+    const heading = /^#{1,6}\s+(.+?)\s*#*\s*$/.exec(line);
+    if (!heading) return null;
+    const text = ` ${heading[1].toLowerCase().replace(/[^\p{L}\s]/gu, ' ').trim().replace(/\s+/g, ' ')} `;
+    return sections.find(section => text.startsWith(` ${section.id} `) || text.startsWith(` ${section.title.toLowerCase()} `)) || null;
+}
+
+// Splits advice Markdown into [{ id, title, content }]: the summary (when there is text before the first
+// section heading), then each section in the order it was written. Headings that start no known section
+// stay part of the text; a section written twice is merged.
+function parseAdviceSections(markdown, sections = ADVICE_SECTIONS) {
+    const parsed = [{ ...SUMMARY_SECTION, lines: [] }];
+    let current = parsed[0];
+    for (const line of String(markdown).split('\n')) {
+        const section = sectionForHeading(line, sections);
+        if (!section) {
+            current.lines.push(line);
+            continue;
+        }
+        current = parsed.find(entry => entry.id === section.id);
+        if (!current) {
+            current = { id: section.id, title: section.title, lines: [] };
+            parsed.push(current);
+        }
+    }
+    return parsed
+        .map(({ id, title, lines }) => ({ id, title, content: lines.join('\n').trim() }))
+        .filter(section => section.content !== '');
+}
+
+// Markdown for the given [{ id, title, content }], headed the way parseAdviceSections expects
+function formatAdviceSections(sections) {
+    return sections
+        .filter(section => section.content)
+        .map(section => section.id === SUMMARY_SECTION.id ? section.content : `## ${section.title}\n${section.content}`)
+        .join('\n\n');
+}
+
+module.exports = {
+    ADVICE_SECTIONS,
+    SECTION_IDS,
+    SUMMARY_SECTION,
+    selectSections,
+    parseAdviceSections,
+    formatAdviceSections
+};
@@ -0,0 +1,210 @@
+// lib/alerts.js
+// Saved locations with threshold alert rules ("rain above 2 mm in the next 12h", "UV ≥ 8").
+// The store keeps everything in memory and writes it through to a JSON file, so rules and
+// their firing state survive restarts. Rules fire once when their condition becomes true and
+// re-arm once it clears, so a rainy week doesn't send the same alert every check.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { apiError } = require('./errors');
+
+// What a rule can watch. Thresholds use the normalized (metric) units.
+// `sum` metrics add up every entry in the window (rain totals); `extreme` metrics look at the
+// highest or lowest entry, depending on the comparison.
+const METRICS = {
+    rain: { label: 'Rain', unit: 'mm', aggregate: 'sum' },
+    temperature: { label: 'Temperature', unit: '°C', aggregate: 'extreme' },
+    feelsLike: { label: 'Feels like', unit: '°C', aggregate: 'extreme' },
+    windSpeed: { label: 'Wind speed', unit: 'm/s', aggregate: 'extreme' },
+    windGust: { label: 'Wind gust', unit: 'm/s', aggregate: 'extreme' },
+    uvIndex: { label: 'UV index', unit: '', aggregate: 'extreme' },
+    humidity: { label: 'Humidity', unit: '%', aggregate: 'extreme' }
+};
+
+const OPERATORS = {
+    '>': (value, threshold) => value > threshold,
+    '>=': (value, threshold) => value >= threshold,
+    '<': (value, threshold) => value < threshold,
+    '<=': (value, threshold) => value <= threshold
+};
+
+const DEFAULT_WINDOW_HOURS = 24;
+const MAX_WINDOW_HOURS = 120; // The forecast reaches about 5 days ahead
+
+// Checks a rule body from the API and returns the clean fields, throwing an INVALID_REQUEST error otherwise
+function validateRule({ metric, operator, threshold, windowHours = DEFAULT_WINDOW_HOURS, enabled = true }) {
+    if (!METRICS[metric]) {
+        throw apiError('INVALID_REQUEST', `"metric" must be one of: ${Object.keys(METRICS).join(', ')}.`);
+    }
+    if (!OPERATORS[operator]) {
+        throw apiError('INVALID_REQUEST', `"operator" must be one of: ${Object.keys(OPERATORS).join(', ')}.`);
+    }
+    if (typeof threshold !== 'number' || !Number.isFinite(threshold)) {
+        throw apiError('INVALID_REQUEST', '"threshold" must be a number.');
+    }
+    if (!Number.isInteger(windowHours) || windowHours < 1 || windowHours > MAX_WINDOW_HOURS) {
+        throw apiError('INVALID_REQUEST', `"windowHours" must be a whole number of hours between 1 and ${MAX_WINDOW_HOURS}.`);
+    }
+    return { metric, operator, threshold, windowHours, enabled: enabled !== false };
+}
+
+// A value with its metric's unit, e.g. "2 mm", "-1°C", "8"
+function formatMetricValue(metric, value) {
+    const { unit } = METRICS[metric];
+    if (!unit) return `${value}`;
+    return unit === '°C' || unit === '%' ? `${value}${unit}` : `${value} ${unit}`;
+}
+
+// Human-readable rule, e.g. "Rain > 2 mm in the next 12h"
+function describeRule(rule) {
+    const { label, aggregate } = METRICS[rule.metric];
+    const window = aggregate === 'sum' ? `in the next ${rule.windowHours}h` : `within the next ${rule.windowHours}h`;
+    return `${label} ${rule.operator} ${formatMetricValue(rule.metric, rule.threshold)} ${window}`;
+}
+
+// Evaluates one rule against normalized forecast data.
+// Returns { triggered, value, at } where `at` is the timestamp of the deciding entry (null for sums).
+function evaluateRule(rule, weatherData, now = Date.now()) {
+    const from = Math.floor(now / 1000);
+    const to = from + rule.windowHours * 60 * 60;
+    const entries = (Array.isArray(weatherData.data) ? weatherData.data : [weatherData.data])
+        .filter(entry => entry.timestamp + 3 * 60 * 60 > from && entry.timestamp < to) // Include the step in progress
+        .filter(entry => typeof entry[rule.metric] === 'number');
+
+    if (entries.length === 0) {
+        return { triggered: false, value: null, at: null };
+    }
+
+    if (METRICS[rule.metric].aggregate === 'sum') {
+        const total = Math.round(entries.reduce((sum, entry) => sum + entry[rule.metric], 0) * 100) / 100;
+        return { triggered: OPERATORS[rule.operator](total, rule.threshold), value: total, at: null };
+    }
+
+    // Highest value for "above" rules, lowest for "below" rules
+    const wantsHigh = rule.operator.startsWith('>');
+    const deciding = entries.reduce((best, entry) =>
+        (wantsHigh ? entry[rule.metric] > best[rule.metric] : entry[rule.metric] < best[rule.metric]) ? entry : best);
+    return {
+        triggered: OPERATORS[rule.operator](deciding[rule.metric], rule.threshold),
+        value: deciding[rule.metric],
+        at: deciding.timestamp
+    };
+}
+
+function createAlertStore({ file }) {
+    let state = { locations: [], rules: [] };
+
+    if (fs.existsSync(file)) {
+        state = JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    // Writes to a temporary file first so a crash mid-write can't corrupt the store
+    function save() {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const tempFile = `${file}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify(state, null, 2));
+        fs.renameSync(tempFile, file);
+    }
+
+    // Copies handed out by the store carry a readable description
+    function presentRule(rule) {
+        return { ...rule, description: describeRule(rule) };
+    }
+
+    function withRules(location) {
+        return { ...location, rules: state.rules.filter(rule => rule.locationId === location.id).map(presentRule) };
+    }
+
+    function listLocations() {
+        return state.locations.map(withRules);
+    }
+
+    function findLocation(id) {
+        const location = state.locations.find(location => location.id === id);
+        if (!location) throw apiError('NOT_FOUND', 'Saved location not found.');
+        return location;
+    }
+
+    // `place` is { name, latitude, longitude, timezone, placeId }
+    function addLocation(place) {
+        const location = { id: crypto.randomUUID(), ...place, createdAt: new Date().toISOString() };
+        state.locations.push(location);
+        save();
+        return withRules(location);
+    }
+
+    function removeLocation(id) {
+        findLocation(id);
+        state.locations = state.locations.filter(location => location.id !== id);
+        state.rules = state.rules.filter(rule => rule.locationId !== id);
+        save();
+    }
+
+    function findRule(id) {
+        const rule = state.rules.find(rule => rule.id === id);
+        if (!rule) throw apiError('NOT_FOUND', 'Alert rule not found.');
+        return rule;
+    }
+
+    function addRule(locationId, body) {
+        findLocation(locationId);
+        const rule = {
+            id: crypto.randomUUID(),
+            locationId,
+            ...validateRule(body),
+            triggered: false, // Whether the rule has fired and its condition still holds
+            lastFiredAt: null,
+            createdAt: new Date().toISOString()
+        };
+        state.rules.push(rule);
+        save();
+        return presentRule(rule);
+    }
+
+    // Replaces the rule's settings; changing them re-arms it
+    function updateRule(id, body) {
+        const rule = findRule(id);
+        Object.assign(rule, validateRule({ ...rule, ...body }), { triggered: false });
+        save();
+        return presentRule(rule);
+    }
+
+    function removeRule(id) {
+        findRule(id);
+        state.rules = state.rules.filter(rule => rule.id !== id);
+        save();
+    }
+
+    // Records the outcome of a check: [{ ruleId, triggered, fired }]. A rule only counts as
+    // triggered once its notification went out (`fired`), so a failed delivery is retried next check.
+    function recordEvaluations(evaluations) {
+        const firedAt = new Date().toISOString();
+        for (const { ruleId, triggered, fired } of evaluations) {
+            const rule = state.rules.find(rule => rule.id === ruleId);
+            if (!rule) continue; // Deleted while the check was running
+            if (fired) rule.lastFiredAt = firedAt;
+            rule.triggered = triggered && (fired || rule.triggered);
+        }
+        save();
+    }
+
+    return {
+        listLocations,
+        addLocation,
+        removeLocation,
+        addRule,
+        updateRule,
+        removeRule,
+        recordEvaluations
+    };
+}
+
+module.exports = {
+    METRICS,
+    OPERATORS,
+    DEFAULT_WINDOW_HOURS,
+    describeRule,
+    formatMetricValue,
+    evaluateRule,
+    createAlertStore
+};
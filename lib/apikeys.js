@@ -0,0 +1,50 @@
+// lib/apikeys.js
+// API keys for the public API. Keys are configured as a comma-separated list of
+// "name:key" or "name:key:limit" entries, where `name` identifies the client in logs and
+// `limit` overrides the default number of requests per minute for that key.
+const crypto = require('crypto');
+
+// Parses the API_KEYS setting into [{ name, key, limit }]. Throws on malformed entries.
+function parseApiKeys(spec, defaultLimit) {
+    if (!spec || !spec.trim()) return [];
+
+    const clients = spec.split(',').map(entry => entry.trim()).filter(Boolean).map((entry, index) => {
+        const [name, key, limit, ...rest] = entry.split(':').map(part => part.trim());
+        // The entry itself isn't quoted, since it may hold a key
+        if (!name || !key || rest.length > 0) {
+            throw new Error(`API key entry ${index + 1} must look like "name:key" or "name:key:limit".`);
+        }
+        if (limit !== undefined && !(Number.isInteger(Number(limit)) && Number(limit) > 0)) {
+            throw new Error(`The rate limit of API key "${name}" must be a positive whole number.`);
+        }
+        return { name, key, limit: limit !== undefined ? Number(limit) : defaultLimit };
+    });
+
+    const names = new Set();
+    for (const { name } of clients) {
+        if (names.has(name)) throw new Error(`API key name "${name}" is used more than once.`);
+        names.add(name);
+    }
+    return clients;
+}
+
+// Compares digests so the comparison takes the same time whatever the key looks like
+function sameKey(a, b) {
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+// The client a presented key belongs to, or null
+function findClient(clients, presentedKey) {
+    if (!presentedKey) return null;
+    return clients.find(client => sameKey(client.key, presentedKey)) || null;
+}
+
+// Reads the key from "Authorization: Bearer <key>" or "X-API-Key: <key>"
+function keyFromHeaders(headers) {
+    const bearer = /^Bearer\s+(.+)$/i.exec(headers.authorization || '');
+    if (bearer) return bearer[1].trim();
+    return typeof headers['x-api-key'] === 'string' ? headers['x-api-key'].trim() : null;
+}
+
+module.exports = { parseApiKeys, findClient, keyFromHeaders };
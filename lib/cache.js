@@ -0,0 +1,68 @@
+// lib/cache.js
+// Small in-memory TTL cache with stale-while-revalidate.
+// Fresh entries are served as-is; entries past their TTL but inside the stale window are served
+// immediately while a background refresh replaces them. Concurrent misses for the same key share one fetch.
+const log = require('./logger');
+
+// Describes how a value was served, for the `cache` fields in API responses
+function cacheMeta(hit, stale, ageMs) {
+    return { hit, stale, ageSeconds: Math.round(ageMs / 1000) };
+}
+
+function createCache({ name, ttlMs, staleMs = 0, maxEntries = 500 }) {
+    const entries = new Map(); // key -> { value, storedAt }; insertion order doubles as LRU order
+    const inFlight = new Map(); // key -> Promise of the value being fetched
+
+    function set(key, value) {
+        entries.delete(key);
+        entries.set(key, { value, storedAt: Date.now() });
+        if (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+    }
+
+    // Returns { value, ageMs } for a fresh entry, or null
+    function get(key) {
+        const entry = entries.get(key);
+        if (!entry) return null;
+        const ageMs = Date.now() - entry.storedAt;
+        if (ageMs > ttlMs) return null;
+        return { value: entry.value, ageMs };
+    }
+
+    function refresh(key, fetcher) {
+        if (inFlight.has(key)) return inFlight.get(key);
+        const promise = fetcher()
+            .then(value => {
+                set(key, value);
+                return value;
+            })
+            .finally(() => inFlight.delete(key));
+        inFlight.set(key, promise);
+        return promise;
+    }
+
+    // Resolves to { value, cache } where `cache` says whether (and how stale) a cached value was used
+    async function getOrFetch(key, fetcher) {
+        const entry = entries.get(key);
+        if (entry) {
+            const ageMs = Date.now() - entry.storedAt;
+            if (ageMs <= ttlMs) {
+                return { value: entry.value, cache: cacheMeta(true, false, ageMs) };
+            }
+            if (ageMs <= ttlMs + staleMs) {
+                refresh(key, fetcher).catch(error => {
+                    log.warn(`Background refresh for ${name} cache key "${key}" failed`, { error: error.message });
+                });
+                return { value: entry.value, cache: cacheMeta(true, true, ageMs) };
+            }
+        }
+
+        const value = await refresh(key, fetcher);
+        return { value, cache: cacheMeta(false, false, 0) };
+    }
+
+    return { get, set, getOrFetch };
+}
+
+module.exports = { createCache, cacheMeta };
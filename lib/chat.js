@@ -0,0 +1,197 @@
+// lib/chat.js
+// Chat-platform integrations: checking Slack's request signatures and the URLs answers are posted to,
+// and turning a weather answer (the body of POST /api/weather-info) into a chat message. Slack gets
+// Block Kit blocks with its own "mrkdwn" formatting; other chat tools get one Markdown text. Everything
+// the user, the model or the weather provider wrote is escaped and has its @mentions broken, so an
+// answer can't ping @channel or a person (<!channel>, <@U123>, @here) or turn into a link.
+const crypto = require('crypto');
+const forecasts = require('./forecast');
+const timeWindows = require('./timewindow');
+
+const SLACK_SIGNATURE_VERSION = 'v0';
+const SLACK_MAX_AGE_SECONDS = 5 * 60; // Older requests are refused, so a captured one can't be replayed
+const SLACK_MAX_TEXT_LENGTH = 3000; // Slack's limit for the text of one section block
+const MAX_FORECAST_DAYS = 5;
+
+// Slack emoji in front of each advice section's title (see lib/advicesections.js)
+const SECTION_EMOJI = {
+    clothing: ':shirt:',
+    activities: ':running:',
+    health: ':heart:',
+    commute: ':bus:',
+    tomorrow: ':calendar:'
+};
+
+// Checks the X-Slack-Signature of a request against its raw body. Returns null when it is valid,
+// otherwise why it isn't.
+function verifySlackSignature({ signingSecret, timestamp, signature, rawBody, now = Date.now() }) {
+    if (!timestamp || !signature || typeof rawBody !== 'string') return 'The request is not signed.';
+    if (!/^\d+$/.test(timestamp) || Math.abs(now / 1000 - Number(timestamp)) > SLACK_MAX_AGE_SECONDS) {
+        return 'The request timestamp is too old or in the future.';
+    }
+    const expected = `${SLACK_SIGNATURE_VERSION}=${crypto.createHmac('sha256', signingSecret).update(`${SLACK_SIGNATURE_VERSION}:${timestamp}:${rawBody}`).digest('hex')}`;
+    const matches = expected.length === signature.length && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+    return matches ? null : 'The request signature does not match.';
+}
+
+const LOOPBACK_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+// Whether answers may be posted to a response_url a request named: only to one of `allowedHosts`, over
+// https (or plain http to a loopback host, for trying the integrations locally). Anything else would let
+// whoever can send a request make the server POST to an address of their choosing.
+function isAllowedResponseUrl(url, allowedHosts) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return false;
+    }
+    if (parsed.username || parsed.password || !allowedHosts.includes(parsed.hostname.toLowerCase())) return false;
+    return parsed.protocol === 'https:' || (parsed.protocol === 'http:' && LOOPBACK_HOSTS.has(parsed.hostname));
+}
+
+// --- Message text ---
+
+// Escapes the three characters Slack reads as control sequences in message text, and puts a zero-width
+// space after every @ that starts a mention (@channel, @here, @someone), which chat tools then ignore
+function escapeSlack(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/@(?=[\w.-])/g, '@\u200B');
+}
+
+// Converts the advice Markdown (see public/markdown.js for what the model writes) to Slack's mrkdwn:
+// headings and bold become *bold*, italics _italics_, and list markers bullets
+function toSlackMrkdwn(markdown) {
+    return escapeSlack(markdown)
+        .replace(/^(\s*)[-*+]\s+/gm, '$1• ')
+        .replace(/(\*\*|__)(.+?)\1|(?<![\w*])[*_](?![\s*_])([^*_\n]+?)[*_](?![\w*])/g, (match, bold, boldText, italicText) =>
+            bold ? `*${boldText}*` : `_${italicText}_`)
+        .replace(/^#{1,6}\s+(.+?)\s*#*\s*$/gm, (match, heading) => `*${heading.replace(/\*/g, '')}*`);
+}
+
+function truncate(text, length) {
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+function placeName(location) {
+    return location.resolvedName || location.weatherData?.location?.name || location.locationName || 'Unknown location';
+}
+
+// One line on how the question was read, e.g. "current weather · compared with yesterday · metric · en"
+function describeInterpretation(result) {
+    const details = result.requestDetails || {};
+    return [
+        details.requestType === 'forecast' ? 'forecast' : 'current weather',
+        details.timeWindow?.label,
+        details.activity ? `activity: ${details.activity}` : null,
+        details.compare ? `compared with ${details.compare === 'usual' ? 'the usual' : 'yesterday'}` : null,
+        details.preferences ? `${details.preferences.units} · ${details.preferences.language}` : null,
+        details.profile ? `profile: ${details.profile.name}` : null
+    ].filter(Boolean).join(' · ');
+}
+
+// The weather of one location as short plain-text lines, in the units of its weather data
+function describeWeather(location) {
+    const { weatherData, timezone, timeWindow } = location;
+    const labels = weatherData.units;
+    const temperature = value => `${value}${labels.temperature}`;
+
+    if (weatherData.type === 'current') {
+        const current = weatherData.data;
+        const lines = [
+            `${temperature(current.temperature)} (feels like ${temperature(current.feelsLike)}), ${current.description || current.condition}`,
+            `Wind ${current.windSpeed} ${labels.windSpeed} · humidity ${current.humidity}% · rain ${current.rain} ${labels.precipitation}`
+        ];
+        const yesterday = weatherData.history?.yesterday?.differences.temperature;
+        if (typeof yesterday === 'number') {
+            lines.push(yesterday === 0 ? 'Same temperature as yesterday' : `${Math.abs(yesterday)}${labels.temperature} ${yesterday > 0 ? 'warmer' : 'colder'} than yesterday`);
+        }
+        return lines;
+    }
+
+    if (timeWindow) {
+        const entries = timeWindows.selectEntries(weatherData.data, timeWindow);
+        if (entries.length === 0) return [`${timeWindow.label}: not covered by the forecast`];
+        const temperatures = entries.map(entry => entry.temperature).filter(value => typeof value === 'number');
+        const conditions = [...new Set(entries.map(entry => entry.description || entry.condition).filter(Boolean))];
+        return [`${timeWindow.label}: ${temperature(Math.min(...temperatures))} to ${temperature(Math.max(...temperatures))}, ${conditions.join(', ')}`];
+    }
+
+    return (weatherData.daily || []).slice(0, MAX_FORECAST_DAYS).map(day =>
+        `${forecasts.formatDayLabel(day.date, timezone)}: ${temperature(day.temperatureMin)} to ${temperature(day.temperatureMax)}, ${day.description || day.condition}, rain ${day.rain} ${labels.precipitation}`);
+}
+
+function describeSource(result) {
+    const providers = [...new Set((result.locationsWeather || []).map(location => location.weatherData.provider))];
+    const model = result.models?.advice?.model;
+    return [
+        providers.length ? `Weather: ${providers.join(', ')}` : null,
+        result.degraded ? 'Advice: plain summary (the assistant was unavailable)' : model ? `Advice: ${model}` : null
+    ].filter(Boolean).join(' · ');
+}
+
+// --- Slack ---
+
+// A Slack message (for the response_url) answering `query` with `result`: a header, how the question was
+// read, the weather per location, then each advice section as its own block
+function slackMessage(query, result) {
+    const locations = result.locationsWeather || [];
+    const title = `Weather for ${locations.map(placeName).join(' vs ') || 'your question'}`;
+    const source = describeSource(result);
+    const blocks = [
+        { type: 'header', text: { type: 'plain_text', text: truncate(title, 150), emoji: true } },
+        { type: 'context', elements: [{ type: 'mrkdwn', text: truncate(`> ${escapeSlack(query.replace(/\s+/g, ' '))}\n${escapeSlack(describeInterpretation(result))}`, SLACK_MAX_TEXT_LENGTH) }] },
+        ...locations.map(location => ({
+            type: 'section',
+            text: { type: 'mrkdwn', text: truncate(`*${escapeSlack(placeName(location))}*\n${describeWeather(location).map(escapeSlack).join('\n')}`, SLACK_MAX_TEXT_LENGTH) }
+        })),
+        { type: 'divider' },
+        ...(result.adviceSections || []).map(section => ({
+            type: 'section',
+            text: {
+                type: 'mrkdwn',
+                text: truncate(section.id === 'summary'
+                    ? toSlackMrkdwn(section.content)
+                    : `${SECTION_EMOJI[section.id] || ''} *${escapeSlack(section.title)}*\n${toSlackMrkdwn(section.content)}`.trim(), SLACK_MAX_TEXT_LENGTH)
+            }
+        })),
+        ...(source ? [{ type: 'context', elements: [{ type: 'mrkdwn', text: escapeSlack(source) }] }] : [])
+    ];
+    return {
+        response_type: 'in_channel',
+        replace_original: false,
+        text: escapeSlack(title), // Shown in notifications and by clients that can't show blocks
+        blocks
+    };
+}
+
+// A short Slack reply only the person who asked sees: acknowledgements, usage help and errors
+function slackEphemeral(text) {
+    return { response_type: 'ephemeral', text: escapeSlack(text) };
+}
+
+// --- Other chat tools ---
+
+// The same answer as one Markdown text, for chat tools that take `{ "text": ... }` replies. Most of them
+// understand Slack's escapes and mentions too, so the text is escaped the same way.
+function textMessage(query, result) {
+    const locations = result.locationsWeather || [];
+    const place = location => escapeSlack(placeName(location));
+    const weather = locations.map(location => `**${place(location)}**\n${describeWeather(location).map(line => `- ${escapeSlack(line)}`).join('\n')}`);
+    const source = describeSource(result);
+    return [
+        `### Weather for ${locations.map(place).join(' vs ') || 'your question'}`,
+        `> ${escapeSlack(query.replace(/\s+/g, ' '))}`,
+        `_${escapeSlack(describeInterpretation(result))}_`,
+        ...weather,
+        escapeSlack(result.friendlyAdvice || ''),
+        source ? `_${escapeSlack(source)}_` : ''
+    ].filter(Boolean).join('\n\n');
+}
+
+module.exports = {
+    verifySlackSignature,
+    isAllowedResponseUrl,
+    slackMessage,
+    slackEphemeral,
+    textMessage
+};
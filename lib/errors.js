@@ -0,0 +1,51 @@
+// lib/errors.js
+// Typed API errors. Every failure the API reports carries a machine-readable `code` and the HTTP
+// status that goes with it, so callers can tell "we didn't understand the question" apart from
+// "the weather service is down" without parsing messages.
+
+// Error code -> HTTP status
+const ERROR_CODES = {
+    INVALID_REQUEST: 400,          // The request body itself is malformed
+    UNAUTHORIZED: 401,             // A public API request without a valid API key
+    NOT_FOUND: 404,                // An id (conversation, saved location, rule) that doesn't exist
+    CONFLICT: 409,                 // E.g. an ambiguous place name, or a check that is already running
+    PAYLOAD_TOO_LARGE: 413,        // The request body is over the size limit
+    RATE_LIMITED: 429,             // An API key went over its requests per minute
+    UNPARSEABLE_QUERY: 422,        // Gaia couldn't turn the question into a weather request
+    OFF_TOPIC: 422,                // The question isn't about the weather, or tries to change the assistant's instructions
+    UNKNOWN_LOCATION: 404,         // The question names a place that couldn't be found
+    LLM_UNAVAILABLE: 503,          // Gaia couldn't be reached or answered with an error
+    WEATHER_PROVIDER_ERROR: 502,   // Every weather provider failed
+    TIMEOUT: 504,                  // An upstream service took too long to answer
+    INTERNAL_ERROR: 500
+};
+
+// Creates an error the routes answer with the code's HTTP status. `extra` fields are added to the response body.
+function apiError(code, message, extra = {}) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = ERROR_CODES[code] || ERROR_CODES.INTERNAL_ERROR;
+    error.extra = extra;
+    return error;
+}
+
+// Whether an error came from an aborted or timed-out fetch
+function isTimeout(error) {
+    return error?.name === 'TimeoutError' || error?.name === 'AbortError';
+}
+
+// Turns anything thrown into a typed error. Unexpected errors become INTERNAL_ERROR with a generic
+// message, since theirs can name files, hosts or internals; callers log the original.
+function toApiError(error) {
+    if (error && Object.hasOwn(ERROR_CODES, error.code)) return error;
+    if (isTimeout(error)) return apiError('TIMEOUT', 'An upstream service took too long to answer.');
+    return apiError('INTERNAL_ERROR', 'An internal server error occurred.');
+}
+
+// The JSON body for an error response: { ok: false, code, message, ...extra }
+function errorBody(error) {
+    const { code, message, extra } = toApiError(error);
+    return { ok: false, code, message, ...extra };
+}
+
+module.exports = { ERROR_CODES, apiError, isTimeout, toApiError, errorBody };
@@ -0,0 +1,115 @@
+// lib/forecast.js
+// Daily summaries of a multi-day forecast: per-day highs and lows, total precipitation, strongest
+// wind and gusts, the dominant condition and the hours with notable weather. Days are the
+// location's calendar days. Works on normalized (metric) entries; the summaries use the entry
+// field names, so lib/units.js converts them like any other entry.
+
+// A day with fewer 3-hour steps than this is only partly covered by the forecast (usually the first and last day)
+const STEPS_PER_DAY = 8;
+
+// What makes a forecast step worth pointing out, checked against the metric values
+const NOTABLE_WEATHER = [
+    { reason: 'thunderstorm', test: entry => entry.condition === 'Thunderstorm' },
+    { reason: 'snow', test: entry => entry.condition === 'Snow' },
+    { reason: 'heavy rain', test: entry => entry.rain >= 4 },
+    { reason: 'rain', test: entry => entry.rain >= 1 && entry.rain < 4 },
+    { reason: 'strong wind', test: entry => entry.windSpeed >= 10 || entry.windGust >= 15 },
+    { reason: 'heat', test: entry => entry.temperature >= 30 },
+    { reason: 'frost', test: entry => entry.temperature <= 0 },
+    { reason: 'high UV', test: entry => entry.uvIndex >= 8 }
+];
+
+// Breaks ties between equally common conditions in favour of the one that matters more for plans
+const CONDITION_SEVERITY = ['Thunderstorm', 'Snow', 'Rain', 'Drizzle', 'Fog', 'Mist', 'Clouds', 'Clear'];
+
+function severity(condition) {
+    const index = CONDITION_SEVERITY.indexOf(condition);
+    return index === -1 ? CONDITION_SEVERITY.length : index;
+}
+
+// "YYYY-MM-DD" of a moment (in milliseconds) in the time zone
+function localDate(ms, timeZone) {
+    return new Intl.DateTimeFormat('en-CA', { timeZone: timeZone || 'UTC', year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date(ms));
+}
+
+function numbers(entries, field) {
+    return entries.map(entry => entry[field]).filter(value => typeof value === 'number');
+}
+
+function maxOf(values) {
+    return values.length ? Math.max(...values) : null;
+}
+
+function minOf(values) {
+    return values.length ? Math.min(...values) : null;
+}
+
+// The most common condition of the day, with a description and icon from one of its daytime steps
+function dominantCondition(entries) {
+    const counts = new Map();
+    for (const entry of entries) {
+        if (entry.condition) counts.set(entry.condition, (counts.get(entry.condition) || 0) + 1);
+    }
+    if (counts.size === 0) return { condition: null, description: null, icon: null };
+
+    const [condition] = [...counts.entries()]
+        .sort(([a, countA], [b, countB]) => countB - countA || severity(a) - severity(b))[0];
+    const matching = entries.filter(entry => entry.condition === condition);
+    const representative = matching.find(entry => entry.icon?.endsWith('d')) || matching[0];
+    return { condition, description: representative.description, icon: representative.icon };
+}
+
+// Steps with notable weather: { timestamp, reasons, temperature, rain, windSpeed, windGust, uvIndex, condition }
+function notableSteps(entries) {
+    return entries
+        .map(entry => ({ entry, reasons: NOTABLE_WEATHER.filter(rule => rule.test(entry)).map(rule => rule.reason) }))
+        .filter(({ reasons }) => reasons.length > 0)
+        .map(({ entry, reasons }) => ({
+            timestamp: entry.timestamp,
+            reasons,
+            temperature: entry.temperature,
+            rain: entry.rain,
+            windSpeed: entry.windSpeed,
+            windGust: entry.windGust,
+            uvIndex: entry.uvIndex,
+            condition: entry.condition
+        }));
+}
+
+// Groups forecast entries into the location's calendar days and summarizes each one:
+// { date (YYYY-MM-DD, local), entries, partial, temperatureMin, temperatureMax, feelsLikeMin, feelsLikeMax,
+//   rain (total), windSpeed (max), windGust (max), uvIndex (max), condition, description, icon, notable }
+function summarizeDays(entries, timeZone) {
+    const days = new Map();
+    for (const entry of entries) {
+        const date = localDate(entry.timestamp * 1000, timeZone);
+        if (!days.has(date)) days.set(date, []);
+        days.get(date).push(entry);
+    }
+
+    return [...days.entries()].map(([date, dayEntries]) => ({
+        date,
+        entries: dayEntries.length,
+        partial: dayEntries.length < STEPS_PER_DAY,
+        temperatureMin: minOf(numbers(dayEntries, 'temperature')),
+        temperatureMax: maxOf(numbers(dayEntries, 'temperature')),
+        feelsLikeMin: minOf(numbers(dayEntries, 'feelsLike')),
+        feelsLikeMax: maxOf(numbers(dayEntries, 'feelsLike')),
+        rain: Math.round(numbers(dayEntries, 'rain').reduce((total, rain) => total + rain, 0) * 100) / 100,
+        windSpeed: maxOf(numbers(dayEntries, 'windSpeed')),
+        windGust: maxOf(numbers(dayEntries, 'windGust')),
+        uvIndex: maxOf(numbers(dayEntries, 'uvIndex')),
+        ...dominantCondition(dayEntries),
+        notable: notableSteps(dayEntries)
+    }));
+}
+
+// Readable name of a summary's date, e.g. "Saturday 18 October (tomorrow)", relative to today in `timeZone`
+function formatDayLabel(date, timeZone, now = Date.now()) {
+    const daysAhead = Math.round((Date.parse(`${date}T00:00:00Z`) - Date.parse(`${localDate(now, timeZone)}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+    const name = new Date(`${date}T12:00:00Z`).toLocaleDateString('en-GB', { timeZone: 'UTC', weekday: 'long', day: 'numeric', month: 'long' });
+    const relative = { 0: 'today', 1: 'tomorrow' }[daysAhead];
+    return relative ? `${name} (${relative})` : name;
+}
+
+module.exports = { summarizeDays, formatDayLabel };
@@ -0,0 +1,37 @@
+// lib/gaiamodels.js
+// The Gaia models each pipeline stage may use, in failover order. A list is configured as
+// comma-separated "model" or "model@endpoint" entries, e.g.
+//   GAIA_ANALYSIS_MODELS=llama-3.2-3b@https://llama3b.gaia.domains/v1/chat/completions,llama-3.1-8b
+// Entries without an endpoint use GAIA_API_ENDPOINT; an empty list means GAIA_MODEL_NAME at GAIA_API_ENDPOINT.
+
+// Parses one list into [{ model, endpoint, id }], where `id` ("model@host") names the target in logs,
+// metrics and responses without the endpoint's full URL. `setting` names the list in errors.
+// Throws on malformed entries.
+function parseModelList(spec, { defaultModel, defaultEndpoint, setting }) {
+    const entries = (spec || '').split(',').map(entry => entry.trim()).filter(Boolean);
+    if (entries.length === 0) {
+        if (!defaultModel) throw new Error(`GAIA_MODEL_NAME is not defined in .env file (or set ${setting}).`);
+        entries.push(defaultModel);
+    }
+
+    return entries.map((entry, index) => {
+        const at = entry.indexOf('@');
+        const model = (at === -1 ? entry : entry.slice(0, at)).trim();
+        const endpoint = at === -1 ? defaultEndpoint : entry.slice(at + 1).trim();
+        if (!model) {
+            throw new Error(`Entry ${index + 1} of ${setting} names no model.`);
+        }
+        if (!endpoint) {
+            throw new Error(`No endpoint for Gaia model "${model}": list it as "${model}@<url>" or set GAIA_API_ENDPOINT.`);
+        }
+        let host;
+        try {
+            host = new URL(endpoint).host || endpoint;
+        } catch {
+            throw new Error(`The endpoint of Gaia model "${model}" in ${setting} is not a valid URL.`);
+        }
+        return { model, endpoint, id: `${model}@${host}` };
+    });
+}
+
+module.exports = { parseModelList };
@@ -0,0 +1,209 @@
+// lib/geocoder.js
+// Offline geocoding against the bundled place dataset (data/places.json).
+// Resolves the location names Gaia extracts, checks Gaia's guessed coordinates against them,
+// and returns ranked candidates when a name is ambiguous ("Springfield", "Portland").
+const dataset = require('../data/places.json');
+
+// Gaia's coordinates further than this from the gazetteer match are flagged as implausible
+const PLAUSIBLE_DISTANCE_KM = 50;
+// A name is ambiguous when the runner-up has at least this share of the top match's population
+const AMBIGUITY_POPULATION_RATIO = 0.2;
+const MAX_CANDIDATES = 5;
+
+// Common names and abbreviations that don't appear in the dataset as written
+const ALIASES = {
+    'nyc': 'new york',
+    'new york city': 'new york',
+    'la': 'los angeles',
+    'sf': 'san francisco',
+    'washington dc': 'washington, d.c.',
+    'washington d.c.': 'washington, d.c.',
+    'dc': 'washington, d.c.',
+    'bombay': 'mumbai',
+    'kiev': 'kyiv',
+    'peking': 'beijing',
+    'saigon': 'ho chi minh city',
+    'st petersburg': 'st. petersburg',
+    'saint petersburg': 'st. petersburg'
+};
+
+// Lets "Springfield, IL" match the admin region "Illinois"
+const US_STATE_CODES = {
+    AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California', CO: 'Colorado',
+    CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia',
+    HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky',
+    LA: 'Louisiana', ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+    MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire',
+    NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota',
+    OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina',
+    SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont', VA: 'Virginia',
+    WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming'
+};
+
+// Lower-cases and strips accents and extra whitespace so "Zürich" matches "zurich"
+function normalizeName(name) {
+    return String(name || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Rows become place objects; the row index doubles as a stable place id for this dataset version
+const places = dataset.places.map((row, index) => {
+    const place = { id: index };
+    dataset.fields.forEach((field, fieldIndex) => { place[field] = row[fieldIndex]; });
+    place.label = [place.name, place.admin !== place.name ? place.admin : null, place.country].filter(Boolean).join(', ');
+    return place;
+});
+
+const placesByName = new Map();
+for (const place of places) {
+    const key = normalizeName(place.name);
+    if (!placesByName.has(key)) placesByName.set(key, []);
+    placesByName.get(key).push(place);
+}
+
+// Great-circle distance in kilometres
+function distanceKm(lat1, lon1, lat2, lon2) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(lat2 - lat1);
+    const dLon = toRadians(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Levenshtein distance, used to catch typos like "Tokio" or "Barcelonna"
+function editDistance(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = previous[0];
+        previous[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = previous[j];
+            previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+            diagonal = above;
+        }
+    }
+    return previous[b.length];
+}
+
+// Splits "Springfield, IL, USA" into the place name and its qualifiers
+function parseLocationName(locationName) {
+    const [name, ...qualifiers] = String(locationName || '').split(',').map(part => part.trim()).filter(Boolean);
+    const normalized = normalizeName(name);
+    return { name: ALIASES[normalized] || normalized, qualifiers: qualifiers.map(normalizeName) };
+}
+
+// True if a qualifier like "il", "illinois", "usa" or "united states" describes the place
+function matchesQualifier(place, qualifier) {
+    const admin = normalizeName(place.admin);
+    const country = normalizeName(place.country);
+    const code = normalizeName(place.countryCode);
+    if (qualifier === admin || qualifier === country || qualifier === code) return true;
+    if (place.countryCode === 'US' && normalizeName(US_STATE_CODES[qualifier.toUpperCase()]) === admin) return true;
+    if (place.countryCode === 'US' && ['us', 'usa', 'united states', 'united states of america'].includes(qualifier)) return true;
+    if (place.countryCode === 'GB' && ['uk', 'united kingdom', 'england', 'scotland', 'wales'].includes(qualifier)) return true;
+    return false;
+}
+
+// Ranked candidates for a location name (most populous first).
+// Falls back to near-miss spellings when nothing matches exactly.
+function searchPlaces(locationName, limit = MAX_CANDIDATES) {
+    const { name, qualifiers } = parseLocationName(locationName);
+    if (!name) return { matchType: 'none', candidates: [] };
+
+    let matchType = 'exact';
+    let matches = placesByName.get(name) || [];
+
+    if (matches.length === 0 && name.length >= 4) {
+        matchType = 'fuzzy';
+        const maxDistance = name.length >= 8 ? 2 : 1;
+        for (const [key, keyPlaces] of placesByName) {
+            if (Math.abs(key.length - name.length) > maxDistance) continue;
+            if (editDistance(key, name) <= maxDistance) matches = matches.concat(keyPlaces);
+        }
+    }
+
+    // Qualifiers narrow the list, but only if they match something (they might just be noise like "downtown")
+    for (const qualifier of qualifiers) {
+        const narrowed = matches.filter(place => matchesQualifier(place, qualifier));
+        if (narrowed.length > 0) matches = narrowed;
+    }
+
+    const candidates = [...matches]
+        .sort((a, b) => b.population - a.population)
+        .slice(0, limit);
+    return { matchType: candidates.length ? matchType : 'none', candidates };
+}
+
+// Resolves a location name Gaia extracted, optionally checking the coordinates Gaia guessed.
+// Returns:
+// - status: 'resolved' (one clear match), 'ambiguous' (best match chosen, but others are plausible) or 'not_found'
+// - place: the chosen place, or null when not found
+// - candidates: ranked alternatives for a "did you mean" picker (when ambiguous, or near-misses when not found)
+// - coordinateCheck: how far Gaia's guess was from the chosen place, or null without a guess
+function resolveLocation(locationName, llmLatitude = null, llmLongitude = null) {
+    const { matchType, candidates } = searchPlaces(locationName);
+    const hasLlmCoordinates = typeof llmLatitude === 'number' && typeof llmLongitude === 'number';
+
+    if (candidates.length === 0) {
+        return { status: 'not_found', matchType, place: null, candidates: [], coordinateCheck: null };
+    }
+
+    const [top, runnerUp] = candidates;
+    // Among same-named places, Gaia's guess picks the default (it may know context we don't);
+    // otherwise the most populous one wins
+    const nearLlmGuess = hasLlmCoordinates
+        ? candidates.find(candidate => distanceKm(llmLatitude, llmLongitude, candidate.latitude, candidate.longitude) <= PLAUSIBLE_DISTANCE_KM)
+        : null;
+    let place = nearLlmGuess || top;
+
+    // A near-miss spelling is only trusted if Gaia's coordinates agree with it. If they point
+    // somewhere else entirely, the place is probably just missing from the dataset.
+    if (matchType === 'fuzzy' && hasLlmCoordinates && !nearLlmGuess) {
+        return { status: 'not_found', matchType, place: null, candidates, coordinateCheck: null };
+    }
+
+    let coordinateCheck = null;
+    if (hasLlmCoordinates) {
+        const offByKm = distanceKm(llmLatitude, llmLongitude, place.latitude, place.longitude);
+        coordinateCheck = {
+            llmLatitude,
+            llmLongitude,
+            distanceKm: Math.round(offByKm),
+            plausible: offByKm <= PLAUSIBLE_DISTANCE_KM
+        };
+    }
+
+    // Exact names are ambiguous when another place with that name is comparably large;
+    // near-miss spellings always are, unless Gaia's coordinates confirmed one
+    const ambiguous = matchType === 'fuzzy'
+        ? !coordinateCheck?.plausible
+        : Boolean(runnerUp && runnerUp.population >= top.population * AMBIGUITY_POPULATION_RATIO);
+    const status = ambiguous ? 'ambiguous' : 'resolved';
+    return {
+        status,
+        matchType,
+        place,
+        candidates: status === 'ambiguous' ? candidates : [],
+        coordinateCheck
+    };
+}
+
+// Looks a place up by the id returned with candidates (e.g. from the "did you mean" picker). Ids are
+// non-negative integers, also accepted as strings of digits; anything else (null, "", true) finds nothing.
+function getPlaceById(id) {
+    const index = typeof id === 'string' && /^\d+$/.test(id) ? Number(id) : id;
+    return Number.isInteger(index) && index >= 0 ? places[index] || null : null;
+}
+
+module.exports = {
+    searchPlaces,
+    resolveLocation,
+    getPlaceById,
+    distanceKm,
+    normalizeName,
+    PLAUSIBLE_DISTANCE_KM
+};
@@ -0,0 +1,164 @@
+// lib/guardrails.js
+// Guards around the natural-language pipeline, so a query can only ever get weather advice out of Gaia.
+// Before the model is called, queries are checked for length and characters, and obvious attempts to
+// change the assistant's instructions or use it for something else are refused. The query is handed to
+// the model as delimited data instead of instructions. Afterwards the advice is checked to stay on topic
+// and not to repeat the prompts it was written from; streamed advice is held back until it passes.
+
+const DEFAULT_MAX_QUERY_LENGTH = 500;
+const ECHO_RUN_WORDS = 8; // Repeating this many words of the prompt in a row counts as echoing it
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+const OFF_TOPIC_MESSAGE = 'This assistant only answers weather questions. Ask about the weather somewhere, e.g. "Will it rain in Paris tomorrow?"';
+
+// The tags the user's text is wrapped in inside prompts
+const QUERY_OPEN_TAG = '<user_query>';
+const QUERY_CLOSE_TAG = '</user_query>';
+const QUERY_TAG_PATTERN = /<\s*\/?\s*user_query\s*>/gi;
+
+// Control characters other than tab and newlines, and the invisible bidi controls used to hide text
+const DISALLOWED_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F\u202A-\u202E\u2066-\u2069]/;
+
+// Phrases that try to override, reveal or replace the assistant's instructions
+const INSTRUCTION_PATTERNS = [
+    /\b(ignore|disregard|forget|override)\s+(all\s+|any\s+)?(of\s+)?(the\s+|your\s+|my\s+|these\s+)?(previous|prior|above|earlier|preceding|original|system)\s+(instructions|prompts?|rules|messages|directions)\b/i,
+    /\b(system|initial|hidden|original|developer)\s+(prompt|instructions|message)\b/i,
+    /\b(reveal|print|show|repeat|output|tell me)\s+(me\s+)?(your|the)\s+(instructions|prompt|rules)\b/i,
+    /\b(repeat|print|output)\s+(the|all|everything)\s+(text\s+)?(above|before)\b/i,
+    /\byou\s+are\s+now\b/i,
+    /\b(developer|god|dan|jailbreak)\s+mode\b/i,
+    /\bjailbreak/i,
+    /\bpretend\s+(to\s+be|you\s+are)\b/i,
+    /\bnew\s+instructions\s*:/i,
+    /<\s*\/?\s*(user_query|system|assistant|instructions)\s*>/i,
+    /^\s*(system|assistant)\s*:/im
+];
+
+// Requests for work that has nothing to do with the weather. Only refused when the query has no weather
+// words either, so "write a packing list for rainy Paris" still goes through.
+const OFF_TOPIC_PATTERNS = [
+    /\b(write|compose|generate|create)\s+(me\s+)?(a|an|some|the)\s+(\w+\s+)?(poem|story|essay|song|joke|letter|email|code|program|script|function|query|class)\b/i,
+    /\b(translate|summari[sz]e|paraphrase|proofread|debug|refactor)\b/i,
+    /\b(python|javascript|typescript|sql|html|css|regex|bash)\b/i,
+    /\b(solve|calculate)\s+(this|the|an?)\b/i
+];
+
+// Words that make a query about the weather in the languages the assistant is commonly asked in. Only
+// whole words (with their usual endings) count, so "train", "Sunday", "photos" or "windows" don't.
+const WEATHER_WORDS = /\b(weather|forecast\w*|temperatures?|rain(s|y|ing|ed|fall|coat)?|snow(s|y|ing|ed|fall)?|wind(s|y|ier)?|sun(ny|nier|shine|screen)?|cloud(s|y|ier)?|storm(s|y)?|humid(ity)?|umbrellas?|jackets?|coats?|degrees?|celsius|fahrenheit|hot(ter|test)?|cold(er|est)?|warm(er|est|th)?|chilly|frost(s|y)?|uv|tiempo|clima|lluvia|météo|pluie|wetter|regen|tempo|chuva)\b|天気|天气|날씨/i;
+
+// Checks a query before it reaches the model. Returns null when it may go through, otherwise
+// { check, message }: check is 'length' or 'characters' for queries that are malformed, 'instructions'
+// or 'off_topic' for queries the assistant refuses.
+function checkQuery(query, { maxLength = DEFAULT_MAX_QUERY_LENGTH } = {}) {
+    if ([...query].length > maxLength) {
+        return { check: 'length', message: `The query is too long; keep it under ${maxLength} characters.` };
+    }
+    if (DISALLOWED_CHARACTERS.test(query)) {
+        return { check: 'characters', message: "The query contains control characters; send plain text." };
+    }
+    if (INSTRUCTION_PATTERNS.some(pattern => pattern.test(query))) {
+        return { check: 'instructions', message: "This assistant only answers weather questions and can't change or reveal its instructions." };
+    }
+    if (!WEATHER_WORDS.test(query) && OFF_TOPIC_PATTERNS.some(pattern => pattern.test(query))) {
+        return { check: 'off_topic', message: OFF_TOPIC_MESSAGE };
+    }
+    return null;
+}
+
+// The user's text wrapped in <user_query> tags, with any tags it contains itself taken out,
+// so it can't close the block early and continue as instructions
+function delimitUserText(text) {
+    return `${QUERY_OPEN_TAG}\n${String(text).replace(QUERY_TAG_PATTERN, '')}\n${QUERY_CLOSE_TAG}`;
+}
+
+// Lowercase words, without punctuation or Markdown
+function words(text) {
+    return String(text).toLowerCase().match(WORD_PATTERN) || [];
+}
+
+// Every run of `size` consecutive words in `text`, joined with spaces
+function wordRuns(text, size) {
+    const list = words(text);
+    const runs = [];
+    for (let index = 0; index + size <= list.length; index += 1) {
+        runs.push(list.slice(index, index + size).join(' '));
+    }
+    return runs;
+}
+
+// Checks generated advice. `instructions` are the prompt texts it was written from (without the weather
+// data and the user's question); repeating ECHO_RUN_WORDS words of them in a row counts as echoing them. `topicTerms`
+// are strings on-topic advice quotes, such as the location names and unit labels of the weather data.
+// Returns null when the advice is fine, otherwise { check: 'echo' | 'off_topic', message }.
+function checkAdvice(advice, { instructions = [], topicTerms = [] } = {}) {
+    const adviceText = ` ${words(advice).join(' ')} `;
+    const echoed = instructions.flatMap(text => wordRuns(text, ECHO_RUN_WORDS)).find(run => adviceText.includes(` ${run} `));
+    if (echoed) {
+        return { check: 'echo', message: `The advice repeats the prompt ("${echoed}").` };
+    }
+    if (/```/.test(advice)) {
+        return { check: 'off_topic', message: 'The advice contains a code block.' };
+    }
+    const lowerAdvice = String(advice).toLowerCase();
+    if (topicTerms.length > 0 && !topicTerms.some(term => term && lowerAdvice.includes(String(term).toLowerCase()))) {
+        return { check: 'off_topic', message: 'The advice mentions neither the location nor any weather figure.' };
+    }
+    return null;
+}
+
+// Guards advice streamed to a client with the same checks as checkAdvice. Tokens go to `push`; text is
+// passed on to `onText` only once nothing that follows can make it fail: not before the advice mentions a
+// topic term, never once it has echoed the prompt or opened a code block, and always holding back the
+// last ECHO_RUN_WORDS words, which a longer echo could still start with. Call `release()` once the
+// complete advice has passed checkAdvice to pass on the rest.
+function createAdviceStreamGuard({ instructions = [], topicTerms = [] } = {}, onText) {
+    const echoRuns = new Set(instructions.flatMap(text => wordRuns(text, ECHO_RUN_WORDS)));
+    const terms = topicTerms.filter(Boolean).map(term => String(term).toLowerCase());
+    let text = '';
+    let sent = 0; // Characters of `text` passed on
+    let checkedRuns = 0; // Word runs already compared with the prompt
+    let onTopic = terms.length === 0;
+    let blocked = false;
+
+    function push(token) {
+        if (blocked) return;
+        text += token;
+        const matches = [...text.matchAll(WORD_PATTERN)];
+        const list = matches.map(match => match[0].toLowerCase());
+        // The last word may still continue in the next token
+        const completeWords = /[\p{L}\p{N}]$/u.test(text) ? list.length - 1 : list.length;
+        for (; checkedRuns + ECHO_RUN_WORDS <= completeWords; checkedRuns += 1) {
+            if (echoRuns.has(list.slice(checkedRuns, checkedRuns + ECHO_RUN_WORDS).join(' '))) blocked = true;
+        }
+        if (blocked || /```/.test(text)) {
+            blocked = true;
+            return;
+        }
+        onTopic = onTopic || terms.some(term => text.toLowerCase().includes(term));
+        const heldFrom = matches.length >= ECHO_RUN_WORDS ? matches[matches.length - ECHO_RUN_WORDS].index : 0;
+        if (onTopic && heldFrom > sent) {
+            onText(text.slice(sent, heldFrom));
+            sent = heldFrom;
+        }
+    }
+
+    function release() {
+        if (blocked || sent === text.length) return;
+        onText(text.slice(sent));
+        sent = text.length;
+    }
+
+    return { push, release };
+}
+
+module.exports = {
+    DEFAULT_MAX_QUERY_LENGTH,
+    OFF_TOPIC_MESSAGE,
+    QUERY_OPEN_TAG,
+    QUERY_CLOSE_TAG,
+    checkQuery,
+    delimitUserText,
+    checkAdvice,
+    createAdviceStreamGuard
+};
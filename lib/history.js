@@ -0,0 +1,184 @@
+// lib/history.js
+// Local history of current-weather observations, so answers can say how today compares with yesterday
+// or with what is usual at this time of day. Observations are appended to a JSON-lines file (one per
+// line) and kept in memory per location, keyed like the weather cache by coordinates rounded to 2
+// decimals (about 1 km). Observations older than the retention period are dropped when the store loads
+// and whenever it is pruned.
+const fs = require('fs');
+const path = require('path');
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Entry fields kept per observation (metric, see providers/schema.js)
+const OBSERVATION_FIELDS = [
+    'temperature', 'feelsLike', 'humidity', 'pressure', 'windSpeed', 'windGust',
+    'uvIndex', 'rain', 'condition', 'description', 'icon'
+];
+
+// Fields compared with earlier observations
+const COMPARED_FIELDS = ['temperature', 'feelsLike', 'humidity', 'windSpeed', 'rain'];
+
+const YESTERDAY_TOLERANCE_SECONDS = 3 * 60 * 60; // How far from "this time yesterday" a reading may be
+const USUAL_HOURS_AROUND = 2; // Readings within this many hours of the time of day count towards "usual"
+const MIN_USUAL_DAYS = 3; // Fewer days than this are too few to say what is usual
+
+function locationKey(latitude, longitude) {
+    return `${latitude.toFixed(2)},${longitude.toFixed(2)}`;
+}
+
+function round(value, digits = 1) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+function createHistoryStore({ file, retentionDays }) {
+    const observationsByKey = new Map(); // key -> observations in time order
+
+    function cutoff() {
+        return Math.floor(Date.now() / 1000) - retentionDays * DAY_SECONDS;
+    }
+
+    function add(observation) {
+        const list = observationsByKey.get(observation.key) || [];
+        list.push(observation);
+        observationsByKey.set(observation.key, list);
+    }
+
+    // Rewrites the file with what is kept in memory; through a temporary file so a crash mid-write can't corrupt it
+    function rewrite() {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const tempFile = `${file}.tmp`;
+        const lines = [...observationsByKey.values()].flat().map(observation => `${JSON.stringify(observation)}\n`);
+        fs.writeFileSync(tempFile, lines.join(''));
+        fs.renameSync(tempFile, file);
+    }
+
+    // Drops observations older than the retention period. Returns how many were dropped.
+    function prune() {
+        const oldest = cutoff();
+        let dropped = 0;
+        for (const [key, list] of observationsByKey) {
+            const kept = list.filter(observation => observation.timestamp >= oldest);
+            dropped += list.length - kept.length;
+            if (kept.length > 0) observationsByKey.set(key, kept);
+            else observationsByKey.delete(key);
+        }
+        if (dropped > 0) rewrite();
+        return dropped;
+    }
+
+    if (fs.existsSync(file)) {
+        // A line cut short by a crash is skipped rather than failing the whole store
+        const lines = fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim() !== '');
+        const observations = lines.flatMap(line => {
+            try {
+                return [JSON.parse(line)];
+            } catch {
+                return [];
+            }
+        });
+        observations.sort((a, b) => a.timestamp - b.timestamp).forEach(add);
+        if (observations.length < lines.length) rewrite();
+        prune();
+    }
+
+    // Appends a current-weather entry observed at the given coordinates. An entry with the same timestamp
+    // as the location's latest observation (the same reading served again) is skipped.
+    // Returns the stored observation, or null when it was skipped.
+    function record(latitude, longitude, entry) {
+        const key = locationKey(latitude, longitude);
+        const timestamp = entry.timestamp ?? Math.floor(Date.now() / 1000);
+        const latest = observationsByKey.get(key)?.at(-1);
+        if (latest && timestamp <= latest.timestamp) return null;
+
+        const observation = {
+            key,
+            latitude: round(latitude, 4),
+            longitude: round(longitude, 4),
+            timestamp,
+            ...Object.fromEntries(OBSERVATION_FIELDS.map(field => [field, entry[field] ?? null]))
+        };
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.appendFileSync(file, `${JSON.stringify(observation)}\n`);
+        add(observation);
+        return { ...observation };
+    }
+
+    // Observations near the coordinates between `from` and `to` (unix seconds, inclusive), oldest first
+    function query(latitude, longitude, { from = 0, to = Infinity } = {}) {
+        const list = observationsByKey.get(locationKey(latitude, longitude)) || [];
+        return list
+            .filter(observation => observation.timestamp >= from && observation.timestamp <= to)
+            .map(({ key, ...observation }) => observation);
+    }
+
+    return { record, query, prune };
+}
+
+// `current` minus `earlier` for each compared field, e.g. { temperature: 2.5 } for 2.5 degrees warmer
+function differences(current, earlier) {
+    return Object.fromEntries(COMPARED_FIELDS
+        .filter(field => typeof current[field] === 'number' && typeof earlier[field] === 'number')
+        .map(field => [field, round(current[field] - earlier[field])]));
+}
+
+// Seconds between two moments' times of day, ignoring the date (0 to 12 hours)
+function timeOfDayDistance(a, b) {
+    const distance = Math.abs(a - b) % DAY_SECONDS;
+    return Math.min(distance, DAY_SECONDS - distance);
+}
+
+// Compares a current-weather entry with earlier observations of the same place (metric, oldest first).
+// Returns { observations, since, yesterday, usual }:
+//   yesterday: the reading closest to this time yesterday (within 3 hours) with its `differences`, or null
+//   usual: averages of the readings within 2 hours of this time of day on earlier days, with their lowest
+//     and highest temperature, `differences` from the averages and `warmerThanPercent` (the share of those
+//     readings colder than now), or null with fewer than 3 days of them
+function compareWithHistory(observations, entry) {
+    const now = entry.timestamp ?? Math.floor(Date.now() / 1000);
+    const earlier = observations.filter(observation => observation.timestamp < now);
+
+    const yesterdayTarget = now - DAY_SECONDS;
+    const yesterdayReading = earlier
+        .filter(observation => Math.abs(observation.timestamp - yesterdayTarget) <= YESTERDAY_TOLERANCE_SECONDS)
+        .reduce((closest, observation) => !closest || Math.abs(observation.timestamp - yesterdayTarget) < Math.abs(closest.timestamp - yesterdayTarget) ? observation : closest, null);
+
+    // Earlier days only: today's readings say nothing about what is usual
+    const sameTimeOfDay = earlier.filter(observation =>
+        now - observation.timestamp >= DAY_SECONDS / 2 && timeOfDayDistance(observation.timestamp, now) <= USUAL_HOURS_AROUND * 60 * 60);
+    const days = new Set(sameTimeOfDay.map(observation => Math.round((now - observation.timestamp) / DAY_SECONDS)));
+
+    let usual = null;
+    if (days.size >= MIN_USUAL_DAYS) {
+        const mean = field => {
+            const values = sameTimeOfDay.map(observation => observation[field]).filter(value => typeof value === 'number');
+            return values.length ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+        };
+        const temperatures = sameTimeOfDay.map(observation => observation.temperature).filter(value => typeof value === 'number');
+        const averages = Object.fromEntries(COMPARED_FIELDS.map(field => [field, mean(field)]));
+        usual = {
+            days: days.size,
+            samples: sameTimeOfDay.length,
+            ...averages,
+            temperatureMin: temperatures.length ? Math.min(...temperatures) : null,
+            temperatureMax: temperatures.length ? Math.max(...temperatures) : null,
+            differences: differences(entry, averages),
+            warmerThanPercent: typeof entry.temperature === 'number' && temperatures.length
+                ? Math.round(temperatures.filter(value => value < entry.temperature).length / temperatures.length * 100)
+                : null
+        };
+    }
+
+    return {
+        observations: earlier.length,
+        since: earlier[0]?.timestamp ?? null,
+        yesterday: yesterdayReading ? { ...yesterdayReading, differences: differences(entry, yesterdayReading) } : null,
+        usual
+    };
+}
+
+module.exports = {
+    COMPARED_FIELDS,
+    createHistoryStore,
+    compareWithHistory
+};
@@ -0,0 +1,78 @@
+// lib/logger.js
+// Structured logging: one JSON object per line with a level, a message, the current request id
+// (see lib/requestcontext.js) and any extra fields. Secrets are redacted before anything is written:
+// fields named like credentials, bearer tokens, and the configured secret values wherever they appear.
+const { getRequestContext } = require('./requestcontext');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REDACTED = '[REDACTED]';
+// Field names whose values are always credentials
+const SECRET_FIELDS = /^(authorization|x-api-key|api[-_]?key|secret|password|access[-_]?token)$/i;
+const MAX_DEPTH = 6;
+
+let minimumLevel = LEVELS.info;
+let secrets = [];
+
+// `level` is the lowest level written (debug, info, warn, error); `secrets` are values to blank out
+// wherever they show up, such as API keys
+function configure({ level, secrets: secretValues } = {}) {
+    if (level !== undefined) {
+        if (!Object.hasOwn(LEVELS, level)) throw new Error(`Unknown log level "${level}"; use one of ${Object.keys(LEVELS).join(', ')}.`);
+        minimumLevel = LEVELS[level];
+    }
+    if (secretValues) {
+        // Longest first, so a key that contains another is blanked out whole
+        secrets = secretValues.filter(value => typeof value === 'string' && value.length >= 4).sort((a, b) => b.length - a.length);
+    }
+}
+
+function redactString(text) {
+    let redacted = text.replace(/\bBearer\s+[^\s"',]+/gi, `Bearer ${REDACTED}`);
+    for (const secret of secrets) {
+        redacted = redacted.split(secret).join(REDACTED);
+    }
+    return redacted;
+}
+
+// Copies `value` with secrets removed; errors become { name, message, code, stack }
+function redact(value, depth = 0) {
+    if (typeof value === 'string') return redactString(value);
+    if (value === null || typeof value !== 'object') return value;
+    if (depth >= MAX_DEPTH) return '[Truncated]';
+    if (value instanceof Error) {
+        return redact({ name: value.name, message: value.message, code: value.code, status: value.status, stack: value.stack }, depth + 1);
+    }
+    if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+    const copy = {};
+    for (const [key, field] of Object.entries(value)) {
+        if (field === undefined) continue;
+        copy[key] = SECRET_FIELDS.test(key) ? REDACTED : redact(field, depth + 1);
+    }
+    return copy;
+}
+
+function write(level, message, fields = {}) {
+    if (LEVELS[level] < minimumLevel) return;
+    const requestId = getRequestContext()?.requestId;
+    const entry = redact({
+        time: new Date().toISOString(),
+        level,
+        msg: message,
+        ...(requestId ? { requestId } : {}),
+        ...fields
+    });
+    const line = JSON.stringify(entry);
+    if (LEVELS[level] >= LEVELS.warn) process.stderr.write(`${line}\n`);
+    else process.stdout.write(`${line}\n`);
+}
+
+module.exports = {
+    LEVELS,
+    configure,
+    redact,
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields)
+};
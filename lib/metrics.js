@@ -0,0 +1,104 @@
+// lib/metrics.js
+// A small metrics registry rendered in the Prometheus text exposition format (version 0.0.4).
+// Supports counters and histograms with labels, which is all /metrics needs.
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+// `{a="1",b="2"}` for the given label names and values, or '' without labels
+function formatLabels(labelNames, values, extra = {}) {
+    const pairs = labelNames.map((name, index) => [name, values[index]]).concat(Object.entries(extra));
+    if (pairs.length === 0) return '';
+    return `{${pairs.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+// Label values in the declared order; the series key is their JSON
+function labelValues(labelNames, labels = {}) {
+    return labelNames.map(name => labels[name] ?? '');
+}
+
+function createRegistry() {
+    const metrics = [];
+
+    function register(metric) {
+        if (metrics.some(existing => existing.name === metric.name)) {
+            throw new Error(`Metric "${metric.name}" is already registered.`);
+        }
+        metrics.push(metric);
+        return metric;
+    }
+
+    // A value that only goes up, e.g. requests served or tokens used
+    function counter(name, help, labelNames = []) {
+        const series = new Map(); // label values JSON -> { values, value }
+        return register({
+            name,
+            help,
+            type: 'counter',
+            inc(labels = {}, amount = 1) {
+                const values = labelValues(labelNames, labels);
+                const key = JSON.stringify(values);
+                if (!series.has(key)) series.set(key, { values, value: 0 });
+                series.get(key).value += amount;
+            },
+            lines() {
+                return [...series.values()].map(({ values, value }) => `${name}${formatLabels(labelNames, values)} ${value}`);
+            }
+        });
+    }
+
+    // Observations (e.g. durations in seconds) counted into cumulative buckets
+    function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        const series = new Map(); // label values JSON -> { values, counts, sum, count }
+        return register({
+            name,
+            help,
+            type: 'histogram',
+            observe(labels = {}, value) {
+                const values = labelValues(labelNames, labels);
+                const key = JSON.stringify(values);
+                if (!series.has(key)) series.set(key, { values, counts: buckets.map(() => 0), sum: 0, count: 0 });
+                const entry = series.get(key);
+                buckets.forEach((bound, index) => {
+                    if (value <= bound) entry.counts[index] += 1;
+                });
+                entry.sum += value;
+                entry.count += 1;
+            },
+            lines() {
+                return [...series.values()].flatMap(({ values, counts, sum, count }) => [
+                    ...buckets.map((bound, index) => `${name}_bucket${formatLabels(labelNames, values, { le: bound })} ${counts[index]}`),
+                    `${name}_bucket${formatLabels(labelNames, values, { le: '+Inf' })} ${count}`,
+                    `${name}_sum${formatLabels(labelNames, values)} ${sum}`,
+                    `${name}_count${formatLabels(labelNames, values)} ${count}`
+                ]);
+            }
+        });
+    }
+
+    // A value read when the metrics are rendered, e.g. a cache size
+    function gauge(name, help, labelNames, collect) {
+        return register({
+            name,
+            help,
+            type: 'gauge',
+            lines() {
+                return collect().map(({ labels, value }) => `${name}${formatLabels(labelNames, labelValues(labelNames, labels))} ${value}`);
+            }
+        });
+    }
+
+    // Every metric in the text format, with its HELP and TYPE lines
+    function render() {
+        return metrics
+            .map(metric => [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.lines()].join('\n'))
+            .join('\n') + '\n';
+    }
+
+    return { counter, histogram, gauge, render };
+}
+
+module.exports = { createRegistry, DEFAULT_BUCKETS };
@@ -0,0 +1,320 @@
+// lib/openapi.js
+// The OpenAPI 3.0 description of the public API (/api/v1), served at /api/v1/openapi.json.
+// Enumerations (unit systems, activities, error codes) are filled in from the running configuration
+// so the document can't drift from what the server accepts.
+
+// Coordinates and presentation options shared by the structured weather endpoints
+function weatherParameters({ unitSystems }) {
+    return [
+        { name: 'latitude', in: 'query', required: true, schema: { type: 'number', minimum: -90, maximum: 90 }, description: 'Latitude in decimal degrees.' },
+        { name: 'longitude', in: 'query', required: true, schema: { type: 'number', minimum: -180, maximum: 180 }, description: 'Longitude in decimal degrees.' },
+        { name: 'units', in: 'query', schema: { type: 'string', enum: unitSystems, default: 'metric' }, description: 'Unit system of the returned values.' },
+        { name: 'timezone', in: 'query', schema: { type: 'string', example: 'Europe/Berlin' }, description: 'IANA time zone of the location, used for local days and times. Defaults to a rough zone from the longitude.' }
+    ];
+}
+
+const ERROR_RESPONSES = {
+    400: { $ref: '#/components/responses/Error' },
+    401: { $ref: '#/components/responses/Error' },
+    429: { $ref: '#/components/responses/RateLimited' },
+    502: { $ref: '#/components/responses/Error' },
+    504: { $ref: '#/components/responses/Error' }
+};
+
+const RATE_LIMIT_HEADERS = {
+    'RateLimit-Limit': { schema: { type: 'integer' }, description: 'Requests allowed per minute for this API key.' },
+    'RateLimit-Remaining': { schema: { type: 'integer' }, description: 'Requests left in the current window.' },
+    'RateLimit-Reset': { schema: { type: 'integer' }, description: 'Seconds until the window starts over.' }
+};
+
+function buildOpenApiDocument({ version, unitSystems, activities, errorCodes, maxQueryLength, adviceSections }) {
+    const entryProperties = {
+        timestamp: { type: 'integer', description: 'Unix seconds' },
+        temperature: { type: 'number', nullable: true },
+        feelsLike: { type: 'number', nullable: true },
+        temperatureMin: { type: 'number', nullable: true },
+        temperatureMax: { type: 'number', nullable: true },
+        humidity: { type: 'number', nullable: true, description: '%' },
+        pressure: { type: 'number', nullable: true, description: 'hPa' },
+        windSpeed: { type: 'number', nullable: true },
+        windGust: { type: 'number', nullable: true },
+        windDirection: { type: 'number', nullable: true, description: 'Degrees the wind comes from' },
+        uvIndex: { type: 'number', nullable: true },
+        rain: { type: 'number' },
+        condition: { type: 'string', nullable: true, example: 'Rain' },
+        description: { type: 'string', nullable: true, example: 'light rain' },
+        icon: { type: 'string', nullable: true, description: 'OpenWeather icon code' }
+    };
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'Gaia Nubila Weather API',
+            version,
+            description: 'Weather by coordinates, geocoding against the offline gazetteer, and natural-language weather questions answered by Gaia. '
+                + 'Every endpoint except this document needs an API key, sent as `Authorization: Bearer <key>` or `X-API-Key: <key>`. '
+                + 'Each key has its own requests-per-minute limit; going over it answers 429 with a `Retry-After` header.'
+        },
+        servers: [{ url: '/api/v1' }],
+        security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+        paths: {
+            '/weather/current': {
+                get: {
+                    summary: 'Current weather at a coordinate',
+                    operationId: 'getCurrentWeather',
+                    parameters: weatherParameters({ unitSystems }),
+                    responses: {
+                        200: { $ref: '#/components/responses/Weather' },
+                        ...ERROR_RESPONSES
+                    }
+                }
+            },
+            '/weather/forecast': {
+                get: {
+                    summary: 'Multi-day forecast (3-hour steps, about 5 days) at a coordinate, with daily summaries',
+                    operationId: 'getWeatherForecast',
+                    parameters: [
+                        ...weatherParameters({ unitSystems }),
+                        { name: 'activity', in: 'query', schema: { type: 'string', enum: activities }, description: 'Scores every forecast step for this activity and adds the best and worst windows.' }
+                    ],
+                    responses: {
+                        200: { $ref: '#/components/responses/Weather' },
+                        ...ERROR_RESPONSES
+                    }
+                }
+            },
+            '/history': {
+                get: {
+                    summary: 'Current-weather readings recorded near a coordinate',
+                    description: 'Readings fetched for questions and sampled for saved locations, kept for the configured retention period.',
+                    operationId: 'getHistory',
+                    parameters: [
+                        ...weatherParameters({ unitSystems }).filter(parameter => parameter.name !== 'timezone'),
+                        { name: 'from', in: 'query', schema: { type: 'string' }, example: '2024-05-01T00:00:00Z', description: 'Start of the range, as an ISO 8601 date or unix seconds. Defaults to 24 hours before `to`.' },
+                        { name: 'to', in: 'query', schema: { type: 'string' }, description: 'End of the range, as an ISO 8601 date or unix seconds. Defaults to now.' }
+                    ],
+                    responses: {
+                        200: {
+                            description: 'The readings in the range, oldest first, in the requested units.',
+                            headers: RATE_LIMIT_HEADERS,
+                            content: {
+                                'application/json': {
+                                    schema: {
+                                        type: 'object',
+                                        properties: {
+                                            ok: { type: 'boolean', enum: [true] },
+                                            latitude: { type: 'number' },
+                                            longitude: { type: 'number' },
+                                            from: { type: 'integer', description: 'Unix seconds' },
+                                            to: { type: 'integer', description: 'Unix seconds' },
+                                            units: { type: 'object', properties: { temperature: { type: 'string' }, windSpeed: { type: 'string' }, precipitation: { type: 'string' }, pressure: { type: 'string' } } },
+                                            observations: { type: 'array', items: { $ref: '#/components/schemas/Entry' } }
+                                        }
+                                    }
+                                }
+                            }
+                        },
+                        400: { $ref: '#/components/responses/Error' },
+                        401: { $ref: '#/components/responses/Error' },
+                        429: { $ref: '#/components/responses/RateLimited' }
+                    }
+                }
+            },
+            '/geocode': {
+                get: {
+                    summary: 'Places matching a name, most populous first',
+                    operationId: 'geocode',
+                    parameters: [
+                        { name: 'name', in: 'query', required: true, schema: { type: 'string' }, example: 'Springfield, IL', description: 'Place name, optionally with its region or country.' },
+                        { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 20, default: 5 } }
+                    ],
+                    responses: {
+                        200: {
+                            description: 'Matching places. `matchType` is `fuzzy` when only near-miss spellings matched, `none` when nothing did.',
+                            headers: RATE_LIMIT_HEADERS,
+                            content: {
+                                'application/json': {
+                                    schema: {
+                                        type: 'object',
+                                        properties: {
+                                            ok: { type: 'boolean', enum: [true] },
+                                            matchType: { type: 'string', enum: ['exact', 'fuzzy', 'none'] },
+                                            places: { type: 'array', items: { $ref: '#/components/schemas/Place' } }
+                                        }
+                                    }
+                                }
+                            }
+                        },
+                        400: { $ref: '#/components/responses/Error' },
+                        401: { $ref: '#/components/responses/Error' },
+                        429: { $ref: '#/components/responses/RateLimited' }
+                    }
+                }
+            },
+            '/query': {
+                post: {
+                    summary: 'Answer a natural-language weather question with Gaia',
+                    operationId: 'query',
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    required: ['query'],
+                                    properties: {
+                                        query: { type: 'string', maxLength: maxQueryLength, example: 'Is it warmer in Tokyo or Paris?', description: 'Only weather questions are answered; others get OFF_TOPIC (422).' },
+                                        units: { type: 'string', enum: unitSystems },
+                                        language: { type: 'string', description: 'ISO 639-1 code, e.g. "es"' },
+                                        locale: { type: 'string', example: 'en-US' },
+                                        placeSelections: { type: 'object', additionalProperties: { type: 'integer' }, description: 'Pins ambiguous names to gazetteer place ids.' },
+                                        profileId: { type: 'string', nullable: true, description: 'An advice profile (see GET /api/profiles) that tailors the advice, its tone and sections. Unknown ids get NOT_FOUND (404).' }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    responses: {
+                        200: {
+                            description: 'The interpreted request, the weather data for every location and Gaia\'s advice. Same body as POST /api/weather-info.',
+                            headers: RATE_LIMIT_HEADERS,
+                            content: {
+                                'application/json': {
+                                    schema: {
+                                        type: 'object',
+                                        properties: {
+                                            ok: { type: 'boolean', enum: [true] },
+                                            requestDetails: { type: 'object' },
+                                            weatherData: { $ref: '#/components/schemas/WeatherData' },
+                                            locationsWeather: { type: 'array', items: { type: 'object' } },
+                                            toolCalls: { type: 'array', items: { type: 'object' } },
+                                            agentReply: { type: 'string' },
+                                            cache: { type: 'object' },
+                                            usage: { type: 'object', description: 'Gaia tokens and milliseconds per stage.' },
+                                            models: { type: 'object', additionalProperties: { type: 'object' }, description: 'The Gaia model ("model@host") that answered each stage, with the ones it failed over from.' },
+                                            degraded: {
+                                                type: 'object',
+                                                nullable: true,
+                                                description: 'Set when the advice is the templated fallback because Gaia\'s advice was unavailable or rejected.',
+                                                properties: { advice: { type: 'string', enum: ['template'] }, reason: { type: 'string' } }
+                                            },
+                                            friendlyAdvice: { type: 'string', description: 'The advice as Markdown, with a "## <Title>" heading per section.' },
+                                            adviceSections: {
+                                                type: 'array',
+                                                description: 'The advice split into its summary and sections.',
+                                                items: {
+                                                    type: 'object',
+                                                    properties: {
+                                                        id: { type: 'string', enum: ['summary', ...adviceSections] },
+                                                        title: { type: 'string' },
+                                                        content: { type: 'string', description: 'Markdown' }
+                                                    }
+                                                }
+                                            }
+                                        }
+                                    }
+                                }
+                            }
+                        },
+                        ...ERROR_RESPONSES,
+                        404: { $ref: '#/components/responses/Error' },
+                        413: { $ref: '#/components/responses/Error' },
+                        422: { $ref: '#/components/responses/Error' },
+                        503: { $ref: '#/components/responses/Error' }
+                    }
+                }
+            }
+        },
+        components: {
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer' },
+                apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+            },
+            responses: {
+                Weather: {
+                    description: 'Normalized weather data in the requested units.',
+                    headers: RATE_LIMIT_HEADERS,
+                    content: {
+                        'application/json': {
+                            schema: {
+                                type: 'object',
+                                properties: {
+                                    ok: { type: 'boolean', enum: [true] },
+                                    timezone: { type: 'string' },
+                                    weatherData: { $ref: '#/components/schemas/WeatherData' },
+                                    cache: { type: 'object', properties: { hit: { type: 'boolean' }, stale: { type: 'boolean' }, ageSeconds: { type: 'integer' } } }
+                                }
+                            }
+                        }
+                    }
+                },
+                Error: {
+                    description: 'Error with a machine-readable code.',
+                    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+                },
+                RateLimited: {
+                    description: 'The API key went over its requests per minute.',
+                    headers: {
+                        ...RATE_LIMIT_HEADERS,
+                        'Retry-After': { schema: { type: 'integer' }, description: 'Seconds to wait before retrying.' }
+                    },
+                    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+                }
+            },
+            schemas: {
+                Error: {
+                    type: 'object',
+                    required: ['ok', 'code', 'message'],
+                    properties: {
+                        ok: { type: 'boolean', enum: [false] },
+                        code: { type: 'string', enum: errorCodes },
+                        message: { type: 'string' }
+                    }
+                },
+                Entry: { type: 'object', properties: entryProperties },
+                WeatherData: {
+                    type: 'object',
+                    properties: {
+                        provider: { type: 'string' },
+                        type: { type: 'string', enum: ['current', 'forecast'] },
+                        location: { type: 'object', properties: { name: { type: 'string' }, latitude: { type: 'number' }, longitude: { type: 'number' }, elevation: { type: 'number', nullable: true } } },
+                        units: { type: 'object', properties: { temperature: { type: 'string' }, windSpeed: { type: 'string' }, precipitation: { type: 'string' }, pressure: { type: 'string' } } },
+                        data: {
+                            oneOf: [{ $ref: '#/components/schemas/Entry' }, { type: 'array', items: { $ref: '#/components/schemas/Entry' } }],
+                            description: 'One entry for current weather, the forecast steps in time order for forecasts.'
+                        },
+                        daily: { type: 'array', items: { type: 'object' }, description: 'Forecasts only: one summary per local calendar day.' },
+                        activity: { type: 'object', description: 'Forecasts with `activity` only: the activity assessment with its best and worst windows.' },
+                        history: {
+                            type: 'object',
+                            description: 'Current weather only: how it compares with the recorded readings. `differences` are now minus then.',
+                            properties: {
+                                observations: { type: 'integer', description: 'Earlier readings recorded for this place' },
+                                since: { type: 'integer', nullable: true, description: 'Unix seconds of the oldest one' },
+                                yesterday: { type: 'object', nullable: true, description: 'The reading closest to this time yesterday (within 3 hours), with its `differences`.' },
+                                usual: { type: 'object', nullable: true, description: 'Averages of the readings within 2 hours of this time of day on earlier days, with `days`, `samples`, `temperatureMin`, `temperatureMax`, `differences` and `warmerThanPercent`; null with fewer than 3 days.' }
+                            }
+                        }
+                    }
+                },
+                Place: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'integer', description: 'Stable for this dataset version; usable in placeSelections.' },
+                        name: { type: 'string' },
+                        label: { type: 'string', example: 'Springfield, Illinois, United States of America' },
+                        admin: { type: 'string' },
+                        country: { type: 'string' },
+                        countryCode: { type: 'string' },
+                        population: { type: 'integer' },
+                        latitude: { type: 'number' },
+                        longitude: { type: 'number' },
+                        timezone: { type: 'string' }
+                    }
+                }
+            }
+        }
+    };
+}
+
+module.exports = { buildOpenApiDocument };
@@ -0,0 +1,172 @@
+// lib/profiles.js
+// Advice profiles: what one person needs from the advice (heat or cold sensitivity, allergies, how they
+// commute, kids or pets, the tone and which sections to include). A request picks one with `profileId`.
+// The store keeps profiles in memory and writes them through to a JSON file, like the alert store.
+// Every field but the name is picked from a fixed list, and the name never reaches the prompt, so a
+// profile can't carry instructions into it.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { apiError } = require('./errors');
+const { SECTION_IDS } = require('./advicesections');
+
+const MAX_NAME_LENGTH = 60;
+
+// The values each field accepts; the first one is the default
+const PROFILE_OPTIONS = {
+    heatSensitivity: ['normal', 'low', 'high'],
+    coldSensitivity: ['normal', 'low', 'high'],
+    allergies: ['pollen', 'grass', 'trees', 'ragweed', 'mold', 'dust'],
+    commute: ['none', 'walk', 'bike', 'transit', 'car'],
+    tone: ['friendly', 'brief', 'detailed', 'playful'],
+    sections: SECTION_IDS
+};
+
+// How each tone is asked for in the advice prompt
+const TONES = {
+    friendly: 'Make your response conversational, friendly, and include relevant emojis. Your advice should be both practical and uplifting.',
+    brief: 'Keep it brief: a short sentence or two per section, no greeting and no small talk.',
+    detailed: 'Be thorough and specific: explain the reasons behind each suggestion and cite the figures from the weather data.',
+    playful: 'Be playful and witty, with plenty of emojis, while keeping every suggestion accurate and practical.'
+};
+
+const COMMUTE_MODES = {
+    walk: 'on foot',
+    bike: 'by bike',
+    transit: 'by public transport',
+    car: 'by car'
+};
+
+function checkOption(field, value) {
+    if (!PROFILE_OPTIONS[field].includes(value)) {
+        throw apiError('INVALID_REQUEST', `"${field}" must be one of: ${PROFILE_OPTIONS[field].join(', ')}.`);
+    }
+    return value;
+}
+
+// A list field from the API: an array of allowed values, without duplicates
+function checkOptionList(field, values) {
+    if (!Array.isArray(values)) {
+        throw apiError('INVALID_REQUEST', `"${field}" must be an array.`);
+    }
+    values.forEach(value => checkOption(field, value));
+    return PROFILE_OPTIONS[field].filter(value => values.includes(value));
+}
+
+// Checks a profile body from the API and returns the clean fields, throwing an INVALID_REQUEST error otherwise
+function validateProfile({
+    name,
+    heatSensitivity = 'normal',
+    coldSensitivity = 'normal',
+    allergies = [],
+    commute = 'none',
+    kids = false,
+    pets = false,
+    tone = 'friendly',
+    sections = SECTION_IDS
+}) {
+    if (typeof name !== 'string' || name.trim() === '' || name.trim().length > MAX_NAME_LENGTH) {
+        throw apiError('INVALID_REQUEST', `"name" is required and must be at most ${MAX_NAME_LENGTH} characters.`);
+    }
+    if (typeof kids !== 'boolean' || typeof pets !== 'boolean') {
+        throw apiError('INVALID_REQUEST', '"kids" and "pets" must be true or false.');
+    }
+    const cleanSections = checkOptionList('sections', sections);
+    if (cleanSections.length === 0) {
+        throw apiError('INVALID_REQUEST', '"sections" must include at least one section.');
+    }
+    return {
+        name: name.trim(),
+        heatSensitivity: checkOption('heatSensitivity', heatSensitivity),
+        coldSensitivity: checkOption('coldSensitivity', coldSensitivity),
+        allergies: checkOptionList('allergies', allergies),
+        commute: checkOption('commute', commute),
+        kids,
+        pets,
+        tone: checkOption('tone', tone),
+        sections: cleanSections
+    };
+}
+
+// What the advice prompt should know about the person, one sentence per line (none for a default profile)
+function describeProfile(profile) {
+    const lines = [];
+    if (profile.heatSensitivity === 'high') lines.push('They are sensitive to heat: point out when it will feel uncomfortably warm and how to stay cool.');
+    if (profile.heatSensitivity === 'low') lines.push("They cope well with heat; don't fuss about warm weather.");
+    if (profile.coldSensitivity === 'high') lines.push('They feel the cold easily: suggest warmer layers than usual and point out chilly times.');
+    if (profile.coldSensitivity === 'low') lines.push("They don't mind the cold; don't over-bundle them.");
+    if (profile.allergies.length > 0) {
+        lines.push(`They are allergic to ${profile.allergies.join(', ')}. There is no pollen or air quality data, but say when the weather (wind, dry spells, damp) tends to make these worse.`);
+    }
+    if (COMMUTE_MODES[profile.commute]) lines.push(`They commute ${COMMUTE_MODES[profile.commute]}.`);
+    if (profile.kids) lines.push('They have kids: include tips for children.');
+    if (profile.pets) lines.push('They have pets: include tips for pets, such as walks, hot pavements or cold paws.');
+    return lines;
+}
+
+function createProfileStore({ file }) {
+    let state = { profiles: [] };
+
+    if (fs.existsSync(file)) {
+        state = JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    // Writes to a temporary file first so a crash mid-write can't corrupt the store
+    function save() {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const tempFile = `${file}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify(state, null, 2));
+        fs.renameSync(tempFile, file);
+    }
+
+    function listProfiles() {
+        return state.profiles.map(profile => ({ ...profile }));
+    }
+
+    function findProfile(id) {
+        const profile = state.profiles.find(profile => profile.id === id);
+        if (!profile) throw apiError('NOT_FOUND', 'Profile not found.');
+        return profile;
+    }
+
+    function getProfile(id) {
+        return { ...findProfile(id) };
+    }
+
+    function addProfile(body) {
+        const profile = { id: crypto.randomUUID(), ...validateProfile(body), createdAt: new Date().toISOString() };
+        state.profiles.push(profile);
+        save();
+        return { ...profile };
+    }
+
+    // Changes the fields in `body`, keeping the others
+    function updateProfile(id, body) {
+        const profile = findProfile(id);
+        Object.assign(profile, validateProfile({ ...profile, ...body }));
+        save();
+        return { ...profile };
+    }
+
+    function removeProfile(id) {
+        findProfile(id);
+        state.profiles = state.profiles.filter(profile => profile.id !== id);
+        save();
+    }
+
+    return {
+        listProfiles,
+        getProfile,
+        addProfile,
+        updateProfile,
+        removeProfile
+    };
+}
+
+module.exports = {
+    PROFILE_OPTIONS,
+    TONES,
+    validateProfile,
+    describeProfile,
+    createProfileStore
+};
@@ -0,0 +1,46 @@
+// lib/providers/fixture.js
+// Fixture-backed provider: serves the sample data in fixtures/weather/ for any coordinates,
+// so the app runs fully offline. Forecast timestamps are shifted to start at the current
+// 3-hour step, keeping the fixture's spacing.
+const fs = require('fs');
+const path = require('path');
+const { normalizeEntry } = require('./schema');
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '..', '..', 'fixtures', 'weather');
+const FORECAST_STEP_SECONDS = 3 * 60 * 60;
+
+function readFixture(directory, fileName) {
+    return JSON.parse(fs.readFileSync(path.join(directory, fileName), 'utf8'));
+}
+
+function createFixtureProvider({ directory = DEFAULT_FIXTURE_DIR } = {}) {
+    // Read once at startup so a missing or malformed fixture fails fast
+    const current = readFixture(directory, 'current.json');
+    const forecast = readFixture(directory, 'forecast.json');
+
+    return {
+        name: 'fixture',
+
+        async getCurrent(lat, lon) {
+            return {
+                provider: 'fixture',
+                type: 'current',
+                location: { ...current.location, latitude: lat, longitude: lon },
+                data: normalizeEntry({ ...current.data, timestamp: Math.floor(Date.now() / 1000) })
+            };
+        },
+
+        async getForecast(lat, lon) {
+            const start = Math.floor(Date.now() / 1000 / FORECAST_STEP_SECONDS) * FORECAST_STEP_SECONDS;
+            const firstTimestamp = forecast.data[0]?.timestamp || 0;
+            return {
+                provider: 'fixture',
+                type: 'forecast',
+                location: { ...forecast.location, latitude: lat, longitude: lon },
+                data: forecast.data.map(entry => normalizeEntry({ ...entry, timestamp: start + (entry.timestamp - firstTimestamp) }))
+            };
+        }
+    };
+}
+
+module.exports = { createFixtureProvider };
@@ -0,0 +1,66 @@
+// lib/providers/index.js
+// Weather provider registry. Providers are chosen with WEATHER_PROVIDERS (e.g. "nubila,fixture")
+// and tried in that order: when one errors, the next one answers instead.
+//
+// A provider is an object with:
+//   name: string
+//   getCurrent(lat, lon): Promise<WeatherData>   (see ./schema.js)
+//   getForecast(lat, lon): Promise<WeatherData>
+const { apiError, isTimeout } = require('../errors');
+const log = require('../logger');
+const { createNubilaProvider } = require('./nubila');
+const { createFixtureProvider } = require('./fixture');
+
+const PROVIDER_FACTORIES = {
+    nubila: createNubilaProvider,
+    fixture: createFixtureProvider
+};
+
+// Builds the ordered provider list from a comma-separated list of names.
+// `options` holds per-provider settings keyed by name, e.g. { nubila: { apiKey } }.
+function createProviders(names, options = {}) {
+    const providerNames = String(names).split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+    if (providerNames.length === 0) {
+        throw new Error('No weather providers configured.');
+    }
+
+    return providerNames.map(name => {
+        const factory = PROVIDER_FACTORIES[name];
+        if (!factory) {
+            throw new Error(`Unknown weather provider "${name}". Available: ${Object.keys(PROVIDER_FACTORIES).join(', ')}.`);
+        }
+        return factory(options[name] || {});
+    });
+}
+
+// Fetches weather from the first provider that succeeds.
+// The result carries `failover` ([{ provider, error }]) when earlier providers failed.
+// When all of them fail, throws a TIMEOUT error if they all timed out and WEATHER_PROVIDER_ERROR otherwise.
+async function fetchWeather(providers, lat, lon, type = 'current') {
+    if (lat === null || lon === null || typeof lat !== 'number' || typeof lon !== 'number') {
+        throw apiError('INVALID_REQUEST', "Invalid or missing latitude/longitude for weather provider call.");
+    }
+
+    const failures = [];
+    for (const provider of providers) {
+        try {
+            const weatherData = type === 'forecast'
+                ? await provider.getForecast(lat, lon)
+                : await provider.getCurrent(lat, lon);
+            if (failures.length > 0) {
+                log.warn(`Weather served by "${provider.name}" after ${failures.length} provider(s) failed.`);
+                weatherData.failover = failures;
+            }
+            return weatherData;
+        } catch (error) {
+            log.error(`Weather provider "${provider.name}" failed`, { error: error.message });
+            failures.push({ provider: provider.name, error: isTimeout(error) ? 'Timed out' : error.message, timedOut: isTimeout(error) });
+        }
+    }
+
+    const details = failures.map(failure => `${failure.provider}: ${failure.error}`).join('; ');
+    const code = failures.every(failure => failure.timedOut) ? 'TIMEOUT' : 'WEATHER_PROVIDER_ERROR';
+    throw apiError(code, `Could not fetch weather data (${details})`);
+}
+
+module.exports = { createProviders, fetchWeather };
@@ -0,0 +1,91 @@
+// lib/providers/nubila.js
+// Nubila Weather API adapter: fetches current weather and forecasts and maps them onto the normalized schema.
+const defaultFetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
+const { normalizeEntry } = require('./schema');
+const { createUpstreamClient } = require('../upstreamclient');
+const log = require('../logger');
+
+const NUBILA_BASE_URL = 'https://api.nubila.ai/api/v1';
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+
+// Function to call Nubila API. `config` is { apiKey, baseUrl, fetch }.
+async function getNubilaWeather(config, lat, lon, type = 'current') {
+    const { apiKey, baseUrl, fetch } = config;
+    const endpoint = type === 'forecast' ? 'forecast' : 'weather';
+    const url = `${baseUrl}/${endpoint}?lat=${lat}&lon=${lon}`;
+    log.debug('Querying Nubila', { url, type });
+
+    const response = await fetch(url, {
+        method: 'GET',
+        headers: {
+            'X-Api-Key': apiKey
+        }
+    });
+
+    const data = await response.json();
+
+    if (!response.ok || data.ok === false) {
+        log.error('Nubila API error', { status: response.status, response: data });
+        throw new Error(data.message || `Nubila API request failed with status ${response.status}`);
+    }
+
+    return data; // The whole response (includes 'ok' and 'data' fields)
+}
+
+// Maps one raw Nubila entry (current conditions or one forecast step) onto the normalized entry
+function fromNubilaEntry(raw) {
+    return normalizeEntry({
+        timestamp: raw.timestamp,
+        temperature: raw.temperature ?? raw.temp,
+        feelsLike: raw.feels_like,
+        temperatureMin: raw.temperature_min,
+        temperatureMax: raw.temperature_max,
+        humidity: raw.humidity,
+        pressure: raw.pressure,
+        windSpeed: raw.wind_speed,
+        windDirection: raw.wind_direction,
+        windGust: raw.wind_gust,
+        uvIndex: raw.uv,
+        rain: raw.rain,
+        condition: raw.condition,
+        description: raw.condition_desc,
+        icon: raw.condition_icon
+    });
+}
+
+// `fetch` is expected to time out, retry and circuit-break like an upstream client's (see lib/upstreamclient.js);
+// it can wrap a recording/replaying one (see lib/upstream.js). Replay needs no `apiKey`.
+function createNubilaProvider({ apiKey, baseUrl = NUBILA_BASE_URL, fetch, requireApiKey = true }) {
+    if (!apiKey && requireApiKey) {
+        throw new Error('NUBILA_API_KEY is not defined in .env file.');
+    }
+    const clientFetch = fetch || createUpstreamClient('nubila', { fetch: defaultFetch, timeoutMs: DEFAULT_TIMEOUT_MS }).fetch;
+    const config = { apiKey, baseUrl: baseUrl.replace(/\/+$/, ''), fetch: clientFetch };
+
+    return {
+        name: 'nubila',
+
+        async getCurrent(lat, lon) {
+            const { data } = await getNubilaWeather(config, lat, lon, 'current');
+            return {
+                provider: 'nubila',
+                type: 'current',
+                location: { name: data.location_name || null, latitude: lat, longitude: lon, elevation: data.elevation ?? null },
+                data: fromNubilaEntry(data)
+            };
+        },
+
+        async getForecast(lat, lon) {
+            const { data } = await getNubilaWeather(config, lat, lon, 'forecast');
+            const entries = Array.isArray(data) ? data : [];
+            return {
+                provider: 'nubila',
+                type: 'forecast',
+                location: { name: entries[0]?.location_name || null, latitude: lat, longitude: lon, elevation: entries[0]?.elevation ?? null },
+                data: entries.map(fromNubilaEntry)
+            };
+        }
+    };
+}
+
+module.exports = { NUBILA_BASE_URL, createNubilaProvider };
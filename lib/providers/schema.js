@@ -0,0 +1,33 @@
+// lib/providers/schema.js
+// The normalized weather model every provider returns.
+//
+// WeatherData:
+//   {
+//     provider: string,              // name of the provider that produced the data
+//     type: 'current' | 'forecast',
+//     location: { name, latitude, longitude, elevation },
+//     data: Entry (current) | Entry[] (forecast, in time order)
+//   }
+//
+// Entry (metric units; missing values are null):
+//   timestamp (unix seconds), temperature, feelsLike, temperatureMin, temperatureMax (°C),
+//   humidity (%), pressure (hPa), windSpeed, windGust (m/s), windDirection (degrees),
+//   uvIndex, rain (mm), condition (e.g. "Rain"), description (e.g. "light rain"), icon (OpenWeather icon code)
+
+const ENTRY_FIELDS = [
+    'timestamp', 'temperature', 'feelsLike', 'temperatureMin', 'temperatureMax',
+    'humidity', 'pressure', 'windSpeed', 'windGust', 'windDirection',
+    'uvIndex', 'rain', 'condition', 'description', 'icon'
+];
+
+// Fills in every entry field so consumers never have to guess which ones exist
+function normalizeEntry(values) {
+    const entry = {};
+    for (const field of ENTRY_FIELDS) {
+        entry[field] = values[field] ?? null;
+    }
+    entry.rain = entry.rain ?? 0;
+    return entry;
+}
+
+module.exports = { ENTRY_FIELDS, normalizeEntry };
@@ -0,0 +1,34 @@
+// lib/ratelimit.js
+// Fixed-window request counting per client, for the per-key limits of the public API and the
+// per-address limits of the unversioned one.
+// Each client gets `limit` requests per window; the window starts with its first request.
+
+function createRateLimiter({ windowMs = 60 * 1000, maxClients = 10000 } = {}) {
+    const windows = new Map(); // client id -> { startedAt, count }
+
+    // Counts one request for `clientId`. Returns { allowed, limit, remaining, resetSeconds },
+    // where resetSeconds is how long until the client's window starts over.
+    function take(clientId, limit) {
+        const now = Date.now();
+        let window = windows.get(clientId);
+        if (!window || now - window.startedAt >= windowMs) {
+            window = { startedAt: now, count: 0 };
+            windows.delete(clientId);
+            windows.set(clientId, window);
+            if (windows.size > maxClients) windows.delete(windows.keys().next().value);
+        }
+
+        const allowed = window.count < limit;
+        if (allowed) window.count += 1;
+        return {
+            allowed,
+            limit,
+            remaining: Math.max(0, limit - window.count),
+            resetSeconds: Math.max(1, Math.ceil((window.startedAt + windowMs - now) / 1000))
+        };
+    }
+
+    return { take };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,28 @@
+// lib/requestcontext.js
+// Per-request state that follows a request through every await: its id (for log correlation),
+// how long each pipeline stage took, how many Gaia tokens it used and which Gaia models answered.
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+function createRequestContext(requestId) {
+    return {
+        requestId,
+        startedAt: Date.now(),
+        stages: {}, // stage -> total milliseconds
+        tokens: { prompt: 0, completion: 0, total: 0, calls: 0 },
+        models: {} // stage -> { model, failover } of the Gaia model that answered
+    };
+}
+
+// Runs `fn` with `context` as the current request context
+function runWithRequestContext(context, fn) {
+    return storage.run(context, fn);
+}
+
+// The context of the request being handled, or null outside of one (startup, the alert scheduler)
+function getRequestContext() {
+    return storage.getStore() || null;
+}
+
+module.exports = { createRequestContext, runWithRequestContext, getRequestContext };
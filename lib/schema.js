@@ -0,0 +1,59 @@
+// lib/schema.js
+// A small JSON Schema validator for the structured output we ask Gaia for (tool arguments and the
+// agent's final reply). It covers the subset our schemas use: type, properties, required, enum,
+// minimum/maximum, items and additionalProperties: false.
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Returns a list of readable problems ("$.latitude must be a number"); empty when `value` is valid
+function validate(value, schema, path = '$') {
+    const errors = [];
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push(`${path} must be ${types.join(' or ')}, got ${typeOf(value)}`);
+            return errors; // Nothing else can be checked meaningfully
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+    if (typeof value === 'number') {
+        if (typeof schema.minimum === 'number' && value < schema.minimum) errors.push(`${path} must be at least ${schema.minimum}`);
+        if (typeof schema.maximum === 'number' && value > schema.maximum) errors.push(`${path} must be at most ${schema.maximum}`);
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        for (const name of schema.required || []) {
+            if (value[name] === undefined) errors.push(`${path}.${name} is required`);
+        }
+        for (const [name, propertyValue] of Object.entries(value)) {
+            if (properties[name]) {
+                errors.push(...validate(propertyValue, properties[name], `${path}.${name}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${name} is not allowed`);
+            }
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => errors.push(...validate(item, schema.items, `${path}[${index}]`)));
+    }
+
+    return errors;
+}
+
+module.exports = { validate };
@@ -0,0 +1,161 @@
+// lib/timewindow.js
+// Resolves the time a question is about ("tomorrow at 3pm", "this weekend", "tonight") into a
+// concrete window in the location's own time zone, and picks the forecast entries inside it.
+// Gaia only names the day and part of day; the dates themselves are worked out here, since
+// "tomorrow" in Tokyo can already be "today" on the server.
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Local hours covered by each part of the day; night runs into the next morning
+const DAY_PARTS = {
+    morning: [6, 12],
+    afternoon: [12, 18],
+    evening: [18, 24],
+    night: [18, 30]
+};
+
+// A specific hour matches forecast entries within this many minutes, i.e. the nearest 3-hour step
+const HOUR_TOLERANCE_MINUTES = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Wall-clock date and time of a moment in a time zone
+function zonedParts(ms, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        weekday: 'long',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(new Date(ms));
+    const get = type => parts.find(part => part.type === type).value;
+    return {
+        year: Number(get('year')),
+        month: Number(get('month')),
+        day: Number(get('day')),
+        hour: Number(get('hour')),
+        minute: Number(get('minute')),
+        second: Number(get('second')),
+        weekday: WEEKDAYS.indexOf(get('weekday').toLowerCase())
+    };
+}
+
+// How far the time zone's clocks are ahead of UTC at the given moment, in milliseconds
+function zoneOffsetMs(ms, timeZone) {
+    const parts = zonedParts(ms, timeZone);
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallClock - Math.floor(ms / 1000) * 1000;
+}
+
+// The UTC moment of a wall-clock time in a time zone. Day and hour may overflow (day 32, hour 30).
+function zonedTimeToUtc(year, month, day, hour, timeZone) {
+    const wallClock = Date.UTC(year, month - 1, day, hour);
+    const firstGuess = wallClock - zoneOffsetMs(wallClock, timeZone);
+    // Recheck at the guessed moment, in case a DST change lies in between
+    return wallClock - zoneOffsetMs(firstGuess, timeZone);
+}
+
+// Rough IANA zone from the longitude, for places the gazetteer doesn't know (ignores DST and borders)
+function approximateTimezone(longitude) {
+    const offset = typeof longitude === 'number' ? Math.max(-12, Math.min(14, Math.round(longitude / 15))) : 0;
+    if (offset === 0) return 'Etc/GMT';
+    return `Etc/GMT${offset > 0 ? '-' : '+'}${Math.abs(offset)}`; // Etc/GMT zones have inverted signs
+}
+
+function isValidTimezone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Works out which local days the `day` argument covers: { offset (days from today), count, label }
+function resolveDays(day, today) {
+    if (!day || day === 'today') return { offset: 0, count: 1, label: 'today' };
+    if (day === 'tomorrow') return { offset: 1, count: 1, label: 'tomorrow' };
+    if (day === 'weekend' || day === 'this weekend') {
+        // On Sunday "this weekend" is what is left of it
+        if (today.weekday === 0) return { offset: 0, count: 1, label: 'this weekend' };
+        return { offset: (6 - today.weekday + 7) % 7, count: 2, label: 'this weekend' };
+    }
+
+    const weekday = WEEKDAYS.indexOf(day);
+    if (weekday !== -1) {
+        return { offset: (weekday - today.weekday + 7) % 7, count: 1, label: day.charAt(0).toUpperCase() + day.slice(1) };
+    }
+
+    const isoDate = day.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (isoDate) {
+        const offset = Math.round((Date.UTC(Number(isoDate[1]), Number(isoDate[2]) - 1, Number(isoDate[3])) - Date.UTC(today.year, today.month - 1, today.day)) / DAY_MS);
+        return offset >= 0 ? { offset, count: 1, label: day } : null;
+    }
+    return null;
+}
+
+// Turns Gaia's `when` argument ({ day, part, hour }) into { label, start, end, timezone }
+// (unix seconds, end exclusive). Returns null when there is no usable time reference.
+function resolveTimeWindow(when, timeZone, now = Date.now()) {
+    if (!when || typeof when !== 'object') return null;
+    const zone = isValidTimezone(timeZone) ? timeZone : 'UTC';
+    const today = zonedParts(now, zone);
+
+    const days = resolveDays(String(when.day || 'today').trim().toLowerCase(), today);
+    if (!days) return null;
+
+    const dayStart = today.day + days.offset;
+    const hour = Number.isInteger(when.hour) && when.hour >= 0 && when.hour <= 23 ? when.hour : null;
+    const part = DAY_PARTS[String(when.part || '').toLowerCase()] ? String(when.part).toLowerCase() : null;
+
+    let start;
+    let end;
+    let label;
+    if (hour !== null) {
+        const target = zonedTimeToUtc(today.year, today.month, dayStart, hour, zone);
+        start = target - HOUR_TOLERANCE_MINUTES * 60 * 1000;
+        end = target + HOUR_TOLERANCE_MINUTES * 60 * 1000;
+        label = `${days.label} at ${String(hour).padStart(2, '0')}:00`;
+    } else if (part) {
+        const [fromHour, toHour] = DAY_PARTS[part];
+        start = zonedTimeToUtc(today.year, today.month, dayStart, fromHour, zone);
+        end = zonedTimeToUtc(today.year, today.month, dayStart + days.count - 1, toHour, zone);
+        label = days.label === 'today' && part === 'night' ? 'tonight' : `${days.label} ${part}`;
+    } else {
+        start = zonedTimeToUtc(today.year, today.month, dayStart, 0, zone);
+        end = zonedTimeToUtc(today.year, today.month, dayStart + days.count, 0, zone);
+        label = days.label;
+    }
+
+    return { label, start: Math.floor(start / 1000), end: Math.floor(end / 1000), timezone: zone };
+}
+
+// Forecast entries whose timestamp falls inside the window
+function selectEntries(entries, window) {
+    if (!window) return entries;
+    return entries.filter(entry => entry.timestamp >= window.start && entry.timestamp < window.end);
+}
+
+// Short local time for prompts, e.g. "Sat 15:00"
+function formatLocalTime(timestamp, timeZone) {
+    return new Date(timestamp * 1000).toLocaleString('en-GB', {
+        timeZone: isValidTimezone(timeZone) ? timeZone : 'UTC',
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+module.exports = {
+    WEEKDAYS,
+    DAY_PARTS,
+    approximateTimezone,
+    isValidTimezone,
+    resolveTimeWindow,
+    selectEntries,
+    formatLocalTime
+};
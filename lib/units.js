@@ -0,0 +1,131 @@
+// lib/units.js
+// Unit systems and languages for the weather output. Providers always return metric data
+// (see providers/schema.js); everything the user sees is converted here, in one place.
+
+// Label for each kind of value, per unit system
+const UNIT_SYSTEMS = {
+    metric: { temperature: '°C', windSpeed: 'm/s', precipitation: 'mm', pressure: 'hPa' },
+    'metric-kmh': { temperature: '°C', windSpeed: 'km/h', precipitation: 'mm', pressure: 'hPa' },
+    imperial: { temperature: '°F', windSpeed: 'mph', precipitation: 'in', pressure: 'hPa' }
+};
+const DEFAULT_UNITS = 'metric';
+const DEFAULT_LANGUAGE = 'en';
+
+// Regions that use Fahrenheit and miles per hour, for picking units from a browser locale like "en-US"
+const IMPERIAL_REGIONS = ['US', 'LR', 'MM'];
+
+// Entry fields (and the daily summary fields of lib/forecast.js) grouped by the kind of value they hold
+const TEMPERATURE_FIELDS = ['temperature', 'feelsLike', 'temperatureMin', 'temperatureMax', 'feelsLikeMin', 'feelsLikeMax'];
+const SPEED_FIELDS = ['windSpeed', 'windGust'];
+const PRECIPITATION_FIELDS = ['rain'];
+
+const CONVERTERS = {
+    '°C': value => value,
+    '°F': value => value * 9 / 5 + 32,
+    'm/s': value => value,
+    'km/h': value => value * 3.6,
+    'mph': value => value * 2.236936,
+    'mm': value => value,
+    'in': value => value / 25.4
+};
+
+function round(value, digits) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+// Returns the unit system name, or null if it isn't one we support
+function normalizeUnits(units) {
+    return typeof units === 'string' && UNIT_SYSTEMS[units.trim().toLowerCase()] ? units.trim().toLowerCase() : null;
+}
+
+// Returns a lowercase ISO 639-1 language code (e.g. "es" for "es-MX"), or null
+function normalizeLanguage(language) {
+    const match = typeof language === 'string' && language.trim().match(/^([a-z]{2})(?:[-_][a-z0-9]+)*$/i);
+    return match ? match[1].toLowerCase() : null;
+}
+
+// Picks the usual unit system for a browser locale such as "en-US"
+function unitsForLocale(locale) {
+    const region = typeof locale === 'string' ? locale.split(/[-_]/)[1]?.toUpperCase() : null;
+    return region && IMPERIAL_REGIONS.includes(region) ? 'imperial' : null;
+}
+
+// English name of a language code for the advice prompt, e.g. "es" -> "Spanish"
+function languageName(language) {
+    try {
+        return new Intl.DisplayNames(['en'], { type: 'language' }).of(language) || language;
+    } catch {
+        return language;
+    }
+}
+
+// Settles the units and language for one request. `detected` comes from the query itself
+// (Gaia's tool arguments) and wins over `requested` (the UI toggle or an earlier conversation turn),
+// which wins over the browser locale, which wins over the defaults.
+function resolvePreferences(detected = {}, requested = {}) {
+    return {
+        units: normalizeUnits(detected.units) || normalizeUnits(requested.units) || unitsForLocale(requested.locale) || DEFAULT_UNITS,
+        language: normalizeLanguage(detected.language) || normalizeLanguage(requested.language) || DEFAULT_LANGUAGE
+    };
+}
+
+// With `difference`, the values are differences between two readings (e.g. 2 °C warmer than yesterday),
+// which convert without the offset: +2 °C is +3.6 °F, not 35.6 °F
+function convertEntry(entry, labels, { difference = false } = {}) {
+    const converted = { ...entry };
+    const convert = (unit, value) => difference ? CONVERTERS[unit](value) - CONVERTERS[unit](0) : CONVERTERS[unit](value);
+    const convertFields = (fields, unit, digits) => {
+        for (const field of fields) {
+            if (typeof entry[field] === 'number') converted[field] = round(convert(unit, entry[field]), digits);
+        }
+    };
+    convertFields(TEMPERATURE_FIELDS, labels.temperature, 1);
+    convertFields(SPEED_FIELDS, labels.windSpeed, 1);
+    convertFields(PRECIPITATION_FIELDS, labels.precipitation, labels.precipitation === 'in' ? 2 : 1);
+    return converted;
+}
+
+// Returns a copy of normalized weather data in the given unit system, with its unit labels under `units`.
+// Daily summaries (`daily`) and their notable hours are converted too, as is the comparison with
+// earlier observations (`history`, see lib/history.js). The input (which may be a cached value) is left untouched.
+function convertWeatherData(weatherData, units = DEFAULT_UNITS) {
+    const labels = UNIT_SYSTEMS[normalizeUnits(units) || DEFAULT_UNITS];
+    return {
+        ...weatherData,
+        units: labels,
+        data: Array.isArray(weatherData.data)
+            ? weatherData.data.map(entry => convertEntry(entry, labels))
+            : convertEntry(weatherData.data, labels),
+        ...(weatherData.daily ? {
+            daily: weatherData.daily.map(day => ({
+                ...convertEntry(day, labels),
+                notable: day.notable.map(step => convertEntry(step, labels))
+            }))
+        } : {}),
+        ...(weatherData.history ? { history: convertHistory(weatherData.history, labels) } : {})
+    };
+}
+
+function convertHistory(history, labels) {
+    const convertComparison = comparison => comparison && {
+        ...convertEntry(comparison, labels),
+        differences: convertEntry(comparison.differences, labels, { difference: true })
+    };
+    return {
+        ...history,
+        yesterday: convertComparison(history.yesterday),
+        usual: convertComparison(history.usual)
+    };
+}
+
+module.exports = {
+    UNIT_SYSTEMS,
+    DEFAULT_UNITS,
+    DEFAULT_LANGUAGE,
+    normalizeUnits,
+    normalizeLanguage,
+    languageName,
+    resolvePreferences,
+    convertWeatherData
+};
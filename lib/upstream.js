@@ -0,0 +1,122 @@
+// lib/upstream.js
+// Record/replay for upstream HTTP traffic (Gaia and Nubila), selected with UPSTREAM_MODE:
+//   live   - requests go straight to the network
+//   record - requests go to the network and every request/response pair is saved as a fixture
+//   replay - responses come from the saved fixtures; nothing touches the network and no keys are needed
+//
+// Fixtures live in <directory>/<service>/NNNN-<hash>.json. Requests are stored relative to the
+// service's base URL and without headers, so recordings contain no keys and replay works whatever
+// endpoint is configured. Replay first looks for the exact same request; when a request differs
+// (prompts embed the current time, e.g. "tomorrow" windows), it falls back to the next unused
+// recording of the same kind, in recording order.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const log = require('./logger');
+
+const UPSTREAM_MODES = ['live', 'record', 'replay'];
+
+const loadFetch = () => import('node-fetch');
+
+// The parts of a request that identify it: method, path below the base URL and JSON body
+function describeRequest(url, options, baseUrl, ignoreBodyFields) {
+    const method = (options.method || 'GET').toUpperCase();
+    const requestPath = baseUrl && url.startsWith(baseUrl) ? url.slice(baseUrl.length) : url;
+
+    let body = options.body ?? null;
+    if (typeof body === 'string') {
+        try {
+            body = JSON.parse(body);
+            for (const field of ignoreBodyFields) delete body[field];
+        } catch {
+            // Not JSON; keep the raw text
+        }
+    }
+    return { method, path: requestPath, body };
+}
+
+function hashRequest(request) {
+    return crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex').slice(0, 16);
+}
+
+// Requests of the same kind share method, path and body shape (e.g. tool-calling vs streamed advice)
+function requestKind(request) {
+    const { body } = request;
+    const shape = body && typeof body === 'object'
+        ? `${Object.keys(body).sort().join(',')}${body.stream ? ' stream' : ''}`
+        : typeof body;
+    return `${request.method} ${request.path} ${shape}`;
+}
+
+// Returns a fetch-compatible function for one upstream service.
+// `baseUrl` is stripped from recorded paths; `ignoreBodyFields` (e.g. the model name) don't affect matching.
+function createUpstreamFetch(service, { mode = 'live', directory, baseUrl = '', ignoreBodyFields = [] } = {}) {
+    if (!UPSTREAM_MODES.includes(mode)) {
+        throw new Error(`Unknown UPSTREAM_MODE "${mode}". Use one of: ${UPSTREAM_MODES.join(', ')}.`);
+    }
+    const serviceDir = path.join(directory || '.', service);
+
+    if (mode === 'live') {
+        return async (url, options = {}) => (await loadFetch()).default(url, options);
+    }
+
+    if (mode === 'record') {
+        let sequence = fs.existsSync(serviceDir) ? fs.readdirSync(serviceDir).length : 0;
+
+        return async function recordingFetch(url, options = {}) {
+            const { default: fetch, Response } = await loadFetch();
+            const request = describeRequest(url, options, baseUrl, ignoreBodyFields);
+            const response = await fetch(url, options);
+            const text = await response.text(); // Streams are recorded whole and replayed in one piece
+
+            sequence += 1;
+            const fixture = {
+                service,
+                recordedAt: new Date().toISOString(),
+                request,
+                response: { status: response.status, contentType: response.headers.get('content-type'), body: text }
+            };
+            fs.mkdirSync(serviceDir, { recursive: true });
+            fs.writeFileSync(path.join(serviceDir, `${String(sequence).padStart(4, '0')}-${hashRequest(request)}.json`), JSON.stringify(fixture, null, 2));
+
+            return new Response(text, { status: response.status, headers: { 'Content-Type': fixture.response.contentType || 'text/plain' } });
+        };
+    }
+
+    // Replay: load the recordings once, in recording order
+    let recordings = null;
+    function loadRecordings() {
+        if (recordings) return recordings;
+        const files = fs.existsSync(serviceDir) ? fs.readdirSync(serviceDir).filter(file => file.endsWith('.json')).sort() : [];
+        recordings = files.map(file => {
+            const fixture = JSON.parse(fs.readFileSync(path.join(serviceDir, file), 'utf8'));
+            return { file, fixture, hash: hashRequest(fixture.request), kind: requestKind(fixture.request), used: false };
+        });
+        log.info(`Replaying ${recordings.length} recorded ${service} response(s) from ${serviceDir}`);
+        return recordings;
+    }
+
+    return async function replayingFetch(url, options = {}) {
+        const { Response } = await loadFetch();
+        const request = describeRequest(url, options, baseUrl, ignoreBodyFields);
+        const hash = hashRequest(request);
+        const candidates = loadRecordings();
+
+        // Exact match first (reusing the last one if the same request was replayed before), then the next recording of the same kind
+        const exact = candidates.filter(recording => recording.hash === hash);
+        let match = exact.find(recording => !recording.used) || exact[exact.length - 1];
+        if (!match) {
+            match = candidates.find(recording => !recording.used && recording.kind === requestKind(request));
+            if (match) log.warn(`No exact ${service} recording for ${request.method} ${request.path || '/'}; replaying ${match.file}`);
+        }
+        if (!match) {
+            throw new Error(`No recorded ${service} response for ${request.method} ${request.path || '/'} (record one with UPSTREAM_MODE=record).`);
+        }
+
+        match.used = true;
+        const { status, contentType, body } = match.fixture.response;
+        return new Response(body, { status, headers: { 'Content-Type': contentType || 'text/plain' } });
+    };
+}
+
+module.exports = { UPSTREAM_MODES, createUpstreamFetch };
@@ -0,0 +1,203 @@
+// lib/upstreamclient.js
+// The shared client for upstream HTTP calls (Gaia and the weather providers). It wraps a fetch function
+// (usually the recording/replaying one from lib/upstream.js) with:
+//   - a timeout per attempt, and for streamed responses an idle timeout while the body arrives
+//   - retries with jittered exponential backoff for network errors, 5xx and 429 responses
+//     (honouring Retry-After); timeouts are not retried, since the attempt already used the whole budget
+//   - a circuit breaker: after `failureThreshold` failures in a row the upstream is skipped for
+//     `cooldownMs`, then a single trial request decides whether it is back
+const { Transform, pipeline } = require('stream');
+const log = require('./logger');
+const { isTimeout } = require('./errors');
+
+const loadFetch = () => import('node-fetch');
+
+const DEFAULT_OPTIONS = {
+    timeoutMs: 10 * 1000,
+    streamIdleTimeoutMs: 30 * 1000, // Longest pause between two chunks of a streamed body
+    retries: 2,          // Attempts after the first one
+    retryBaseMs: 250,    // The backoff before retry n is random in [0, retryBaseMs * 2^n)
+    retryMaxMs: 5000,    // Upper bound on any single wait, including Retry-After
+    failureThreshold: 5,
+    cooldownMs: 30 * 1000
+};
+
+const CIRCUIT_STATES = ['closed', 'open', 'half-open'];
+
+// Whether a response status is worth another attempt
+function isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+}
+
+// Milliseconds asked for by a Retry-After header (seconds or an HTTP date), or null
+function retryAfterMs(response) {
+    const header = response.headers?.get?.('retry-after');
+    if (!header) return null;
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Consecutive-failure circuit breaker. `canRequest()` says whether a call may go out; report its
+// outcome with `succeeded()` or `failed()`.
+function createCircuitBreaker({ failureThreshold, cooldownMs, onStateChange = () => {} }) {
+    let state = 'closed';
+    let failures = 0;
+    let openedAt = 0;
+    let trialInFlight = false;
+
+    function setState(next) {
+        if (next === state) return;
+        state = next;
+        onStateChange(next);
+    }
+
+    return {
+        state: () => state,
+
+        canRequest() {
+            if (state === 'open' && Date.now() - openedAt >= cooldownMs) setState('half-open');
+            if (state === 'closed') return true;
+            // Half-open lets one trial request through at a time
+            if (state === 'half-open' && !trialInFlight) {
+                trialInFlight = true;
+                return true;
+            }
+            return false;
+        },
+
+        succeeded() {
+            failures = 0;
+            trialInFlight = false;
+            setState('closed');
+        },
+
+        failed() {
+            failures += 1;
+            trialInFlight = false;
+            if (state === 'half-open' || failures >= failureThreshold) {
+                openedAt = Date.now();
+                setState('open');
+            }
+        },
+
+        // Seconds until the next trial request is let through
+        retryInSeconds: () => Math.max(0, Math.ceil((openedAt + cooldownMs - Date.now()) / 1000))
+    };
+}
+
+// Creates the client for one upstream. `name` identifies it in logs and errors; `fetch` does the actual
+// requests. `onRetry({ name, attempt, reason })` and `onStateChange(state)` report to metrics.
+// Returns { name, fetch(url, options, callOptions), circuitState() }.
+function createUpstreamClient(name, { fetch, onRetry = () => {}, onStateChange = () => {}, ...options } = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined)) };
+    const breaker = createCircuitBreaker({
+        failureThreshold: settings.failureThreshold,
+        cooldownMs: settings.cooldownMs,
+        onStateChange: state => {
+            const level = state === 'open' ? 'warn' : 'info';
+            log[level](`Circuit for ${name} is ${state}`, { upstream: name, state });
+            onStateChange(state);
+        }
+    });
+
+    // One attempt. With `streaming`, the timeout only covers the wait for the response headers, so long
+    // streamed answers aren't cut off, and the body is watched for stalls instead; otherwise it also
+    // covers reading the body.
+    async function attempt(url, options, { timeoutMs, streaming }) {
+        if (!streaming) return fetch(url, { ...options, signal: AbortSignal.timeout(timeoutMs) });
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+        let response;
+        try {
+            response = await fetch(url, { ...options, signal: controller.signal });
+        } finally {
+            clearTimeout(timer);
+        }
+        return response.ok && response.body ? watchForStalls(response, controller) : response;
+    }
+
+    // The response with its body passed through a watch that aborts the request when nothing arrives for
+    // `streamIdleTimeoutMs`. Reading the body then fails with a TimeoutError, and the stall counts as a
+    // failure of the upstream.
+    async function watchForStalls(response, controller) {
+        const { Response } = await loadFetch();
+        const idleMs = settings.streamIdleTimeoutMs;
+        let idleTimer = null;
+        const body = new Transform({
+            transform(chunk, encoding, callback) {
+                restartIdleTimer();
+                callback(null, chunk);
+            }
+        });
+
+        function restartIdleTimer() {
+            clearTimeout(idleTimer);
+            idleTimer = setTimeout(() => {
+                const error = new Error(`${name} sent nothing for ${idleMs / 1000} seconds.`);
+                error.name = 'TimeoutError';
+                log.warn(`${name} stalled mid-stream`, { upstream: name, idleMs });
+                breaker.failed();
+                body.destroy(error);
+                controller.abort(error);
+            }, idleMs);
+        }
+
+        restartIdleTimer();
+        // Ends with the body, whether it was read to the end, stalled or dropped by the reader
+        pipeline(response.body, body, () => clearTimeout(idleTimer));
+        return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+    }
+
+    // fetch-compatible, plus `callOptions` ({ timeoutMs, retries, streaming }) overriding the defaults.
+    // Resolves to the last response, which may still be an error status after the retries; rejects
+    // when the request never got a response (the error of the last attempt) or the circuit is open
+    // (an error with code CIRCUIT_OPEN).
+    async function clientFetch(url, options = {}, callOptions = {}) {
+        const { timeoutMs = settings.timeoutMs, retries = settings.retries, streaming = false } = callOptions;
+
+        for (let attemptNumber = 0; ; attemptNumber += 1) {
+            if (!breaker.canRequest()) {
+                const error = new Error(`${name} is failing; skipping it for another ${breaker.retryInSeconds()} seconds.`);
+                error.code = 'CIRCUIT_OPEN';
+                throw error;
+            }
+
+            let response = null;
+            let failure = null;
+            try {
+                response = await attempt(url, options, { timeoutMs, streaming });
+            } catch (error) {
+                failure = error;
+            }
+
+            // 429 means "busy", not broken, so it doesn't count against the circuit
+            if (failure || response.status >= 500) breaker.failed();
+            else breaker.succeeded();
+
+            // No point retrying into a circuit that just opened
+            const retryable = breaker.state() !== 'open' && (failure ? !isTimeout(failure) : isRetryableStatus(response.status));
+            if (!retryable || attemptNumber >= retries) {
+                if (failure) throw failure;
+                return response;
+            }
+
+            const backoff = Math.random() * settings.retryBaseMs * 2 ** attemptNumber;
+            const delay = Math.min(settings.retryMaxMs, response ? retryAfterMs(response) ?? backoff : backoff);
+            const reason = failure ? failure.message : `HTTP ${response.status}`;
+            log.warn(`Retrying ${name} in ${Math.round(delay)} ms`, { upstream: name, attempt: attemptNumber + 1, reason });
+            onRetry({ name, attempt: attemptNumber + 1, reason });
+            // Drain the discarded response so its connection is freed
+            if (response) await response.arrayBuffer().catch(() => {});
+            await sleep(delay);
+        }
+    }
+
+    return { name, fetch: clientFetch, circuitState: breaker.state };
+}
+
+module.exports = { CIRCUIT_STATES, DEFAULT_OPTIONS, createCircuitBreaker, createUpstreamClient };
@@ -0,0 +1,278 @@
+// --- Forecast chart ---
+// Draws a forecast as an SVG timeline: temperature and feels-like lines, precipitation bars and
+// wind speed with direction arrows, stacked on a shared time axis. Day separators fall on the
+// location's midnights, a marker shows the current time, and hovering (or touching) the chart
+// shows the values of the nearest forecast step. Works on the `weatherData.data` entries as sent
+// by the server (already in the user's units); no chart library needed.
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Chart geometry in viewBox units; the SVG scales to the card's width
+const CHART_WIDTH = 900;
+const CHART_MARGIN = { left: 48, right: 16 };
+const CHART_PANELS = {
+    temperature: { top: 34, height: 120 },
+    precipitation: { top: 176, height: 56 },
+    wind: { top: 254, height: 56 }
+};
+const CHART_HEIGHT = 326;
+
+function svgElement(name, attributes = {}, parent = null) {
+    const element = document.createElementNS(SVG_NS, name);
+    for (const [attribute, value] of Object.entries(attributes)) {
+        element.setAttribute(attribute, value);
+    }
+    if (parent) parent.appendChild(element);
+    return element;
+}
+
+function svgText(text, attributes, parent) {
+    const element = svgElement('text', attributes, parent);
+    element.textContent = text;
+    return element;
+}
+
+// Maps [domainMin, domainMax] onto a panel, bottom to top
+function linearScale(domainMin, domainMax, panel) {
+    const span = domainMax - domainMin || 1;
+    return value => panel.top + panel.height - ((value - domainMin) / span) * panel.height;
+}
+
+// A few round tick values from just below `min` to just above `max`
+function chartTicks(min, max, count = 4) {
+    const rawStep = (max - min) / count || 1;
+    const magnitude = 10 ** Math.floor(Math.log10(rawStep));
+    const step = [1, 2, 2.5, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= rawStep);
+    const ticks = [];
+    for (let value = Math.floor(min / step) * step; value < max + step; value += step) {
+        ticks.push(Math.round(value * 1000) / 1000);
+    }
+    return ticks;
+}
+
+// The local hour and minute of a moment in the location's timezone, for finding midnights
+function localTimeOfDay(timestamp, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', { timeZone: timeZone || undefined, hourCycle: 'h23', hour: '2-digit', minute: '2-digit' })
+        .formatToParts(new Date(timestamp * 1000));
+    const get = type => Number(parts.find(part => part.type === type).value);
+    return { hour: get('hour'), minute: get('minute') };
+}
+
+// Local midnights between the first and last entry, as unix seconds
+function localMidnights(entries, timeZone) {
+    const midnights = [];
+    for (let index = 1; index < entries.length; index++) {
+        const previous = localTimeOfDay(entries[index - 1].timestamp, timeZone);
+        const current = localTimeOfDay(entries[index].timestamp, timeZone);
+        if (current.hour * 60 + current.minute < previous.hour * 60 + previous.minute) {
+            midnights.push(entries[index].timestamp - (current.hour * 60 + current.minute) * 60);
+        }
+    }
+    return midnights;
+}
+
+function polylinePoints(entries, field, x, y) {
+    return entries
+        .filter(entry => typeof entry[field] === 'number')
+        .map(entry => `${x(entry.timestamp).toFixed(1)},${y(entry[field]).toFixed(1)}`)
+        .join(' ');
+}
+
+// Builds the chart for forecast `entries`. Options:
+//   units: the unit labels of the weather data; language: for times and day names;
+//   timeZone: the location's timezone; highlight: an optional { start, end, label } window to shade
+function createForecastChart(entries, { units, language, timeZone, highlight = null }) {
+    const container = document.createElement('div');
+    container.className = 'forecast-chart';
+    if (entries.length < 2) return container;
+
+    const first = entries[0].timestamp;
+    const last = entries[entries.length - 1].timestamp;
+    const plotWidth = CHART_WIDTH - CHART_MARGIN.left - CHART_MARGIN.right;
+    const x = timestamp => CHART_MARGIN.left + ((timestamp - first) / (last - first)) * plotWidth;
+    const stepWidth = plotWidth / (entries.length - 1);
+
+    const values = field => entries.map(entry => entry[field]).filter(value => typeof value === 'number');
+    const temperatures = [...values('temperature'), ...values('feelsLike')];
+    const temperatureTicks = chartTicks(Math.min(...temperatures), Math.max(...temperatures));
+    const yTemperature = linearScale(temperatureTicks[0], temperatureTicks[temperatureTicks.length - 1], CHART_PANELS.temperature);
+    const rainMax = Math.max(...values('rain'), units.precipitation === 'in' ? 0.04 : 1);
+    const yRain = linearScale(0, rainMax, CHART_PANELS.precipitation);
+    const windMax = Math.max(...values('windSpeed'), 1);
+    const yWind = linearScale(0, windMax * 1.15, CHART_PANELS.wind);
+
+    const svg = svgElement('svg', {
+        viewBox: `0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`,
+        class: 'forecast-chart-svg',
+        role: 'img',
+        'aria-label': 'Forecast chart of temperature, precipitation and wind'
+    }, container);
+
+    // Shaded window the question was about
+    if (highlight && highlight.end > first && highlight.start < last) {
+        const start = x(Math.max(highlight.start, first));
+        const end = x(Math.min(highlight.end, last));
+        svgElement('rect', { x: start, y: CHART_PANELS.temperature.top - 20, width: Math.max(end - start, 2), height: CHART_HEIGHT - CHART_PANELS.temperature.top + 4, class: 'chart-highlight' }, svg);
+    }
+
+    // Panel labels and temperature gridlines
+    svgText(`Temperature (${units.temperature})`, { x: CHART_MARGIN.left, y: CHART_PANELS.temperature.top - 22, class: 'chart-panel-label' }, svg);
+    svgText(`Precipitation (${units.precipitation})`, { x: CHART_MARGIN.left, y: CHART_PANELS.precipitation.top - 6, class: 'chart-panel-label' }, svg);
+    svgText(`Wind (${units.windSpeed})`, { x: CHART_MARGIN.left, y: CHART_PANELS.wind.top - 6, class: 'chart-panel-label' }, svg);
+    temperatureTicks.forEach(tick => {
+        svgElement('line', { x1: CHART_MARGIN.left, x2: CHART_WIDTH - CHART_MARGIN.right, y1: yTemperature(tick), y2: yTemperature(tick), class: 'chart-grid' }, svg);
+        svgText(`${tick}°`, { x: CHART_MARGIN.left - 6, y: yTemperature(tick) + 4, class: 'chart-axis-label', 'text-anchor': 'end' }, svg);
+    });
+    svgText(`${rainMax.toFixed(units.precipitation === 'in' ? 2 : 1)}`, { x: CHART_MARGIN.left - 6, y: CHART_PANELS.precipitation.top + 8, class: 'chart-axis-label', 'text-anchor': 'end' }, svg);
+    svgText(`${Math.round(windMax)}`, { x: CHART_MARGIN.left - 6, y: yWind(windMax) + 4, class: 'chart-axis-label', 'text-anchor': 'end' }, svg);
+
+    // Day separators at local midnights, with the day's name centred under each day
+    const midnights = localMidnights(entries, timeZone);
+    midnights.forEach(midnight => {
+        svgElement('line', { x1: x(midnight), x2: x(midnight), y1: CHART_PANELS.temperature.top - 16, y2: CHART_HEIGHT - 4, class: 'chart-day-separator' }, svg);
+    });
+    const dayBounds = [first, ...midnights, last];
+    const dayNames = new Intl.DateTimeFormat(language, { weekday: 'short', day: 'numeric', timeZone: timeZone || undefined });
+    for (let index = 0; index < dayBounds.length - 1; index++) {
+        const middle = (x(dayBounds[index]) + x(dayBounds[index + 1])) / 2;
+        if (x(dayBounds[index + 1]) - x(dayBounds[index]) < 40) continue; // Too narrow to label
+        svgText(dayNames.format(new Date((dayBounds[index] + 60) * 1000)), { x: middle, y: CHART_HEIGHT - 2, class: 'chart-day-label', 'text-anchor': 'middle' }, svg);
+    }
+
+    // Precipitation bars
+    entries.forEach(entry => {
+        if (!(entry.rain > 0)) return;
+        const barWidth = Math.max(stepWidth * 0.6, 2);
+        svgElement('rect', {
+            x: x(entry.timestamp) - barWidth / 2,
+            y: yRain(entry.rain),
+            width: barWidth,
+            height: CHART_PANELS.precipitation.top + CHART_PANELS.precipitation.height - yRain(entry.rain),
+            class: 'chart-rain'
+        }, svg);
+    });
+
+    // Temperature and feels-like lines, wind speed line
+    svgElement('polyline', { points: polylinePoints(entries, 'feelsLike', x, yTemperature), class: 'chart-feels-like' }, svg);
+    svgElement('polyline', { points: polylinePoints(entries, 'temperature', x, yTemperature), class: 'chart-temperature' }, svg);
+    svgElement('polyline', { points: polylinePoints(entries, 'windSpeed', x, yWind), class: 'chart-wind' }, svg);
+
+    // Wind arrows point the way the wind blows (windDirection is where it comes from); thinned out on long forecasts
+    const arrowEvery = Math.ceil(entries.length / 24);
+    entries.forEach((entry, index) => {
+        if (index % arrowEvery !== 0 || typeof entry.windDirection !== 'number' || typeof entry.windSpeed !== 'number') return;
+        svgElement('path', {
+            d: 'M0,-6 L4,4 L0,2 L-4,4 Z',
+            transform: `translate(${x(entry.timestamp).toFixed(1)},${yWind(entry.windSpeed).toFixed(1)}) rotate(${(entry.windDirection + 180) % 360})`,
+            class: 'chart-wind-arrow'
+        }, svg);
+    });
+
+    // "Now" marker
+    const now = Date.now() / 1000;
+    if (now >= first && now <= last) {
+        svgElement('line', { x1: x(now), x2: x(now), y1: CHART_PANELS.temperature.top - 16, y2: CHART_HEIGHT - 16, class: 'chart-now' }, svg);
+        svgText('Now', { x: x(now) + 3, y: CHART_PANELS.temperature.top - 8, class: 'chart-now-label' }, svg);
+    }
+
+    // Hover guide, dots and tooltip for the nearest step
+    const guide = svgElement('line', { y1: CHART_PANELS.temperature.top - 16, y2: CHART_HEIGHT - 16, class: 'chart-guide', visibility: 'hidden' }, svg);
+    const temperatureDot = svgElement('circle', { r: 4, class: 'chart-dot chart-dot-temperature', visibility: 'hidden' }, svg);
+    const windDot = svgElement('circle', { r: 3, class: 'chart-dot chart-dot-wind', visibility: 'hidden' }, svg);
+    const tooltip = document.createElement('div');
+    tooltip.className = 'chart-tooltip';
+    tooltip.hidden = true;
+    container.appendChild(tooltip);
+
+    const timeFormat = new Intl.DateTimeFormat(language, { weekday: 'short', hour: '2-digit', minute: '2-digit', timeZone: timeZone || undefined });
+    const formatValue = (value, unit, digits = 1) => typeof value === 'number' ? `${value.toFixed(digits)}${unit}` : 'N/A';
+
+    function showStep(clientX) {
+        const bounds = svg.getBoundingClientRect();
+        if (!bounds.width) return;
+        const chartX = ((clientX - bounds.left) / bounds.width) * CHART_WIDTH;
+        const index = Math.max(0, Math.min(entries.length - 1, Math.round((chartX - CHART_MARGIN.left) / stepWidth)));
+        const entry = entries[index];
+        const entryX = x(entry.timestamp);
+
+        for (const [element, attributes] of [
+            [guide, { x1: entryX, x2: entryX }],
+            [temperatureDot, { cx: entryX, cy: yTemperature(entry.temperature ?? 0) }],
+            [windDot, { cx: entryX, cy: yWind(entry.windSpeed ?? 0) }]
+        ]) {
+            for (const [attribute, value] of Object.entries(attributes)) element.setAttribute(attribute, value);
+            element.setAttribute('visibility', 'visible');
+        }
+
+        const lines = [
+            timeFormat.format(new Date(entry.timestamp * 1000)),
+            `${entry.description || entry.condition || ''}`,
+            `Temperature: ${formatValue(entry.temperature, units.temperature)}`,
+            `Feels like: ${formatValue(entry.feelsLike, units.temperature)}`,
+            `Precipitation: ${formatValue(entry.rain, ` ${units.precipitation}`, units.precipitation === 'in' ? 2 : 1)}`,
+            `Wind: ${formatValue(entry.windSpeed, ` ${units.windSpeed}`)}${typeof entry.windDirection === 'number' ? ` from ${entry.windDirection}°` : ''}`
+        ];
+        tooltip.replaceChildren(...lines.filter(Boolean).map((line, lineIndex) => {
+            const row = document.createElement(lineIndex === 0 ? 'strong' : 'div');
+            row.textContent = line;
+            return row;
+        }));
+        tooltip.hidden = false;
+        // Keep the tooltip inside the card: flip it to the left of the guide on the right half
+        const percent = (entryX / CHART_WIDTH) * 100;
+        tooltip.style.left = percent < 60 ? `calc(${percent}% + 10px)` : '';
+        tooltip.style.right = percent < 60 ? '' : `calc(${100 - percent}% + 10px)`;
+    }
+
+    function hideStep() {
+        [guide, temperatureDot, windDot].forEach(element => element.setAttribute('visibility', 'hidden'));
+        tooltip.hidden = true;
+    }
+
+    svg.addEventListener('pointermove', event => showStep(event.clientX));
+    svg.addEventListener('pointerdown', event => showStep(event.clientX)); // Touch screens
+    svg.addEventListener('pointerleave', hideStep);
+
+    const legend = document.createElement('div');
+    legend.className = 'chart-legend';
+    legend.innerHTML = `
+        <span><i class="legend-swatch legend-temperature"></i>Temperature</span>
+        <span><i class="legend-swatch legend-feels-like"></i>Feels like</span>
+        <span><i class="legend-swatch legend-rain"></i>Precipitation</span>
+        <span><i class="legend-swatch legend-wind"></i>Wind (arrows show direction)</span>
+    `;
+    container.appendChild(legend);
+    return container;
+}
+
+// --- Trend sparkline ---
+// A small line of one field over recorded observations (e.g. the last two days of temperatures next to
+// the current weather), with the latest value marked. The title lists the lowest and highest values.
+
+const SPARKLINE_WIDTH = 160;
+const SPARKLINE_HEIGHT = 36;
+const SPARKLINE_PADDING = 4;
+
+function createSparkline(entries, field, { unit = '', label = '' } = {}) {
+    const points = entries.filter(entry => typeof entry[field] === 'number');
+    const svg = svgElement('svg', {
+        class: 'sparkline',
+        viewBox: `0 0 ${SPARKLINE_WIDTH} ${SPARKLINE_HEIGHT}`,
+        role: 'img'
+    });
+    if (points.length < 2) return svg;
+
+    const values = points.map(entry => entry[field]);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const first = points[0].timestamp;
+    const last = points[points.length - 1].timestamp;
+    const x = timestamp => SPARKLINE_PADDING + ((timestamp - first) / (last - first || 1)) * (SPARKLINE_WIDTH - 2 * SPARKLINE_PADDING);
+    const y = linearScale(min, max, { top: SPARKLINE_PADDING, height: SPARKLINE_HEIGHT - 2 * SPARKLINE_PADDING });
+
+    svgElement('title', {}, svg).textContent = `${label}${label ? ': ' : ''}${min}${unit} to ${max}${unit}`;
+    svgElement('polyline', { class: 'sparkline-line', points: polylinePoints(points, field, x, y) }, svg);
+    const latest = points[points.length - 1];
+    svgElement('circle', { class: 'sparkline-dot', cx: x(latest.timestamp).toFixed(1), cy: y(latest[field]).toFixed(1), r: 2.5 }, svg);
+    return svg;
+}
@@ -0,0 +1,31 @@
+// --- Escaped HTML ---
+// The result cards are written as html`...` templates: every interpolated value is escaped unless
+// it is itself the output of html`...`, so text from the model, the user or the weather provider
+// can never become markup.
+
+const SAFE_HTML = Symbol('safeHtml');
+
+// Escapes text for use in element content and quoted attribute values
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Markup for one interpolated value: html`...` output as-is, arrays item by item, nothing for
+// null/undefined/false, and everything else as escaped text
+function interpolateHtml(value) {
+    if (value === null || value === undefined || value === false) return '';
+    if (Array.isArray(value)) return value.map(interpolateHtml).join('');
+    if (value[SAFE_HTML]) return value.markup;
+    return escapeHtml(value);
+}
+
+// Tagged template for card markup. The result can be assigned to innerHTML or nested in another html`...`.
+function html(strings, ...values) {
+    const markup = strings.reduce((result, string, index) => result + interpolateHtml(values[index - 1]) + string);
+    return { [SAFE_HTML]: true, markup, toString: () => markup };
+}
@@ -0,0 +1,110 @@
+// --- Markdown rendering for the advice ---
+// Gaia writes its advice in Markdown. This renders the subset it uses (headings, bullet and numbered
+// lists, bold, italics, inline code, horizontal rules and paragraphs; emoji are just text) straight
+// into DOM nodes. Text only ever goes in through textContent and elements only come from the
+// allowlist below, so raw HTML in the advice shows up as text instead of markup. Links and images
+// are not rendered; their Markdown stays visible as text.
+
+const MARKDOWN_ALLOWED_TAGS = new Set(['p', 'h3', 'h4', 'h5', 'ul', 'ol', 'li', 'strong', 'em', 'code', 'br', 'hr']);
+
+// "#" to "###" headings sit below the card's own h2
+const MARKDOWN_HEADING_TAGS = { 1: 'h3', 2: 'h4', 3: 'h5' };
+
+// Inline syntax, tried in order: `code`, **bold** / __bold__, *italic* / _italic_
+const MARKDOWN_INLINE_PATTERN = /`([^`]+)`|\*\*(.+?)\*\*|__(.+?)__|\*([^*\s](?:[^*]*[^*\s])?)\*|\b_([^_\s](?:[^_]*[^_\s])?)_\b/;
+
+function markdownElement(tag) {
+    if (!MARKDOWN_ALLOWED_TAGS.has(tag)) throw new Error(`Tag <${tag}> is not allowed in rendered Markdown.`);
+    return document.createElement(tag);
+}
+
+// Appends the inline content of `text` (emphasis and code spans) to `parent`
+function appendInlineMarkdown(parent, text) {
+    let rest = text;
+    while (rest) {
+        const match = MARKDOWN_INLINE_PATTERN.exec(rest);
+        if (!match) {
+            parent.appendChild(document.createTextNode(rest));
+            return;
+        }
+        if (match.index > 0) parent.appendChild(document.createTextNode(rest.slice(0, match.index)));
+
+        const [, code, bold, boldUnderscore, italic, italicUnderscore] = match;
+        if (code !== undefined) {
+            const codeElement = markdownElement('code');
+            codeElement.textContent = code;
+            parent.appendChild(codeElement);
+        } else {
+            const element = markdownElement(bold !== undefined || boldUnderscore !== undefined ? 'strong' : 'em');
+            appendInlineMarkdown(element, bold ?? boldUnderscore ?? italic ?? italicUnderscore);
+            parent.appendChild(element);
+        }
+        rest = rest.slice(match.index + match[0].length);
+    }
+}
+
+// Lines of one paragraph, joined with line breaks
+function appendParagraphLines(parent, lines) {
+    lines.forEach((line, index) => {
+        if (index > 0) parent.appendChild(markdownElement('br'));
+        appendInlineMarkdown(parent, line.trim());
+    });
+}
+
+// Renders Markdown into a DocumentFragment of allowlisted elements and text nodes
+function renderMarkdown(markdown) {
+    const fragment = document.createDocumentFragment();
+    let paragraphLines = [];
+    let list = null; // The <ul> or <ol> being filled
+
+    const flushParagraph = () => {
+        if (paragraphLines.length === 0) return;
+        const paragraph = markdownElement('p');
+        appendParagraphLines(paragraph, paragraphLines);
+        fragment.appendChild(paragraph);
+        paragraphLines = [];
+    };
+    const closeList = () => { list = null; };
+
+    for (const line of String(markdown || '').replace(/\r\n?/g, '\n').split('\n')) {
+        const heading = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+        const bullet = /^\s*[-*+]\s+(.*)$/.exec(line);
+        const numbered = /^\s*(\d{1,3})[.)]\s+(.*)$/.exec(line);
+
+        if (line.trim() === '') {
+            flushParagraph();
+            closeList();
+        } else if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            flushParagraph();
+            closeList();
+            fragment.appendChild(markdownElement('hr'));
+        } else if (heading) {
+            flushParagraph();
+            closeList();
+            const headingElement = markdownElement(MARKDOWN_HEADING_TAGS[Math.min(heading[1].length, 3)]);
+            appendInlineMarkdown(headingElement, heading[2]);
+            fragment.appendChild(headingElement);
+        } else if (bullet || numbered) {
+            flushParagraph();
+            const tag = bullet ? 'ul' : 'ol';
+            if (!list || list.tagName.toLowerCase() !== tag) {
+                list = markdownElement(tag);
+                if (numbered && numbered[1] !== '1') list.setAttribute('start', String(Number(numbered[1])));
+                fragment.appendChild(list);
+            }
+            const item = markdownElement('li');
+            appendInlineMarkdown(item, (bullet ? bullet[1] : numbered[2]).trim());
+            list.appendChild(item);
+        } else if (list && /^\s{2,}\S/.test(line)) {
+            // An indented line continues the last list item
+            const item = list.lastElementChild;
+            item.appendChild(markdownElement('br'));
+            appendInlineMarkdown(item, line.trim());
+        } else {
+            closeList();
+            paragraphLines.push(line);
+        }
+    }
+    flushParagraph();
+    return fragment;
+}
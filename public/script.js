@@ -4,6 +4,28 @@ const resultsDiv = document.getElementById('results');
 const errorDiv = document.getElementById('error');
 const loadingDiv = document.getElementById('loading');
 const promptSuggestionsDiv = document.getElementById('promptSuggestions');
+const newConversationBtn = document.getElementById('newConversationBtn');
+const unitsSelect = document.getElementById('unitsSelect');
+const languageSelect = document.getElementById('languageSelect');
+const alertsPanel = document.getElementById('alertsPanel');
+const addLocationForm = document.getElementById('addLocationForm');
+const newLocationInput = document.getElementById('newLocationInput');
+const alertsMessage = document.getElementById('alertsMessage');
+const savedLocationsDiv = document.getElementById('savedLocations');
+const checkAlertsBtn = document.getElementById('checkAlertsBtn');
+const profileSelect = document.getElementById('profileSelect');
+const profilesPanel = document.getElementById('profilesPanel');
+const addProfileForm = document.getElementById('addProfileForm');
+const profilesMessage = document.getElementById('profilesMessage');
+const savedProfilesDiv = document.getElementById('savedProfiles');
+
+// The server keeps the conversation context; we only remember its id for this tab
+let conversationId = sessionStorage.getItem('conversationId');
+
+// Units and language toggles persist across visits; "Auto" (empty) lets the query and browser locale decide
+unitsSelect.value = localStorage.getItem('units') || '';
+languageSelect.value = localStorage.getItem('language') || '';
+loadProfiles(); // Fills the Profile toggle and restores the last choice
 
 // --- Event Listeners ---
 getWeatherBtn.addEventListener('click', fetchWeather);
@@ -20,6 +42,29 @@ promptSuggestionsDiv.addEventListener('click', (event) => {
     }
 });
 
+newConversationBtn.addEventListener('click', startNewConversation);
+unitsSelect.addEventListener('change', () => localStorage.setItem('units', unitsSelect.value));
+languageSelect.addEventListener('change', () => localStorage.setItem('language', languageSelect.value));
+profileSelect.addEventListener('change', () => localStorage.setItem('profileId', profileSelect.value));
+
+alertsPanel.addEventListener('toggle', () => {
+    if (alertsPanel.open) loadSavedLocations();
+});
+addLocationForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const name = newLocationInput.value.trim();
+    if (name) saveLocation({ name });
+});
+checkAlertsBtn.addEventListener('click', checkAlertsNow);
+
+profilesPanel.addEventListener('toggle', () => {
+    if (profilesPanel.open) loadProfiles();
+});
+addProfileForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    saveProfile();
+});
+
 async function fetchWeather() {
     const query = queryInput.value.trim();
     if (!query) {
@@ -27,39 +72,170 @@ async function fetchWeather() {
         return;
     }
 
-    resultsDiv.innerHTML = '';
-    resultsDiv.style.display = 'none';
+    queryInput.value = '';
+    await askQuestion(query);
+}
+
+// Sends one question to the conversation and renders the streamed answer as a new turn.
+// `placeSelections` ({ locationName: placeId }) pins ambiguous names to what the user picked.
+async function askQuestion(query, placeSelections = null, questionText = query) {
     hideError();
+    const turnDiv = appendConversationTurn(questionText);
     showLoading();
 
+    const adviceCard = createAdviceCard();
+    let adviceText = '';
+
     try {
-        const response = await fetch('/api/weather-info', {
+        // Each stage of the answer arrives as its own Server-Sent Event, so cards render as soon as they're ready
+        const response = await fetch('/api/conversation/stream', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
             },
-            body: JSON.stringify({ query: query }),
+            body: JSON.stringify({
+                query: query,
+                conversationId: conversationId,
+                placeSelections: placeSelections,
+                units: unitsSelect.value || undefined,
+                language: languageSelect.value || undefined,
+                locale: navigator.language,
+                profileId: profileSelect.value || null
+            }),
         });
 
-        const result = await response.json();
-        hideLoading();
+        if (!response.ok) {
+            // Requests rejected before streaming starts come back as plain JSON
+            const result = await response.json();
+            hideLoading();
 
-        if (!response.ok || result.ok === false) {
-            showError(result.message || `An error occurred (Status: ${response.status})`);
+            if (result.code === 'NOT_FOUND' && conversationId) {
+                // The conversation expired on the server; the next query starts a fresh one
+                setConversationId(null);
+            }
+            showTurnError(turnDiv, describeError(result, response.status));
             return;
         }
 
-        // Success! Display the data
-        resultsDiv.style.display = 'block';
-        displayWeatherData(result);
+        await readServerSentEvents(response, (event, data) => {
+            switch (event) {
+                case 'interpretation':
+                    hideLoading();
+                    turnDiv.appendChild(adviceCard);
+                    displayInterpretation(data, turnDiv, query);
+                    break;
+                case 'weather':
+                    displayWeatherData(data, turnDiv);
+                    break;
+                case 'advice':
+                    adviceText += data.token;
+                    renderAdvice(adviceCard, adviceText, true);
+                    break;
+                case 'done':
+                    // The final text also covers the templated fallback used when advice generation fails
+                    setConversationId(data.conversationId);
+                    if (data.adviceSections?.length) {
+                        renderAdviceSections(adviceCard, data.adviceSections);
+                    } else {
+                        renderAdvice(adviceCard, data.friendlyAdvice, false);
+                    }
+                    if (data.degraded) adviceCard.insertAdjacentHTML('beforeend', createDegradedNote(data.degraded));
+                    break;
+                case 'error':
+                    hideLoading();
+                    showTurnError(turnDiv, describeError(data, data.status));
+                    break;
+            }
+        });
 
     } catch (err) {
         console.error("Fetch error:", err);
         hideLoading();
-        showError('Failed to connect to the server or an unexpected error occurred.');
+        showTurnError(turnDiv, 'Failed to connect to the server or an unexpected error occurred.');
+    }
+}
+
+// Reads a text/event-stream response body, calling onEvent(eventName, parsedData) for each event
+async function readServerSentEvents(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        const events = buffer.split('\n\n');
+        buffer = events.pop(); // Keep the incomplete last event for the next chunk
+
+        events.forEach(rawEvent => {
+            let eventName = 'message';
+            let data = '';
+            rawEvent.split('\n').forEach(line => {
+                if (line.startsWith('event:')) eventName = line.slice('event:'.length).trim();
+                if (line.startsWith('data:')) data += line.slice('data:'.length).trim();
+            });
+            if (data) onEvent(eventName, JSON.parse(data));
+        });
+    }
+}
+
+function setConversationId(id) {
+    conversationId = id;
+    if (id) {
+        sessionStorage.setItem('conversationId', id);
+    } else {
+        sessionStorage.removeItem('conversationId');
     }
 }
 
+function startNewConversation() {
+    setConversationId(null);
+    resultsDiv.innerHTML = '';
+    resultsDiv.style.display = 'none';
+    hideError();
+    queryInput.focus();
+}
+
+// Adds a new turn (the user's question plus a container for the answer cards) to the chat thread
+function appendConversationTurn(query) {
+    const turnDiv = document.createElement('div');
+    turnDiv.className = 'chat-turn';
+
+    const questionDiv = document.createElement('div');
+    questionDiv.className = 'chat-question';
+    questionDiv.textContent = query;
+    turnDiv.appendChild(questionDiv);
+
+    resultsDiv.appendChild(turnDiv);
+    resultsDiv.style.display = 'block';
+    turnDiv.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    return turnDiv;
+}
+
+// What the user can do about each kind of failure, keyed by the API's error code
+const ERROR_HINTS = {
+    UNPARSEABLE_QUERY: 'Try asking about the weather in a specific place, e.g. "Will it rain in Paris tomorrow?"',
+    UNKNOWN_LOCATION: 'Check the spelling, or add the region or country.',
+    LLM_UNAVAILABLE: 'The assistant is unavailable right now. Please try again in a moment.',
+    WEATHER_PROVIDER_ERROR: 'The weather service is unavailable right now. Please try again in a moment.',
+    TIMEOUT: 'The request took too long. Please try again.'
+};
+
+// The server's message for an error response, followed by a hint for its error code
+function describeError(result, status) {
+    const message = result.message || `An error occurred (Status: ${status})`;
+    return ERROR_HINTS[result.code] ? `${message} ${ERROR_HINTS[result.code]}` : message;
+}
+
+function showTurnError(turnDiv, message) {
+    const turnErrorDiv = document.createElement('div');
+    turnErrorDiv.className = 'status-message error-message';
+    turnErrorDiv.textContent = message;
+    turnDiv.appendChild(turnErrorDiv);
+}
+
 function showLoading() {
     loadingDiv.style.display = 'block';
 }
@@ -71,8 +247,6 @@ function hideLoading() {
 function showError(message) {
     errorDiv.textContent = message;
     errorDiv.style.display = 'block';
-    resultsDiv.innerHTML = ''; 
-    resultsDiv.style.display = 'none';
 }
 
 function hideError() {
@@ -81,197 +255,833 @@ function hideError() {
 }
 
 function getIconUrl(iconCode) {
-    return `https://openweathermap.org/img/wn/${iconCode}@2x.png`;
+    return `https://openweathermap.org/img/wn/${encodeURIComponent(iconCode)}@2x.png`;
 }
 
-// --- Data Display Function ---
-function displayWeatherData(result) {
-    resultsDiv.innerHTML = '';
+// --- Data Display Functions ---
 
-    const { requestDetails, weatherData } = result;
-
-    // const thoughtfulResponse = document.createElement('div');
-    // thoughtfulResponse.className = 'card thoughtful-response';
-    // thoughtfulResponse.innerHTML = `
-        
-    //         ${result.friendlyAdvice.split('\n\n').map(section => {
-    //             const lines = section.split('\n');
-    //             const heading = lines[0];
-    //             const details = lines.slice(1).map(line => `<p>${line}</p>`).join('');
-    //             return `<h3>${heading}</h3>${details}`;
-    //         }).join('')}
-        
-
-    // `;
+// The advice card is added empty and filled in as advice tokens stream in
+function createAdviceCard() {
     const thoughtfulResponse = document.createElement('div');
-    thoughtfulResponse.className = 'card thoughtful-response';
-    thoughtfulResponse.innerHTML = `
-        
-            ${result.friendlyAdvice.split('\n').map(advice => `<p>${advice}</p>`).join('')}
-        
+    thoughtfulResponse.className = 'card thoughtful-response streaming';
+    thoughtfulResponse.innerHTML = `<p><i class="fas fa-spinner fa-spin"></i> Writing your advice...</p>`;
+    return thoughtfulResponse;
+}
 
-    `;
+// The advice is Markdown from Gaia; see markdown.js for what is rendered
+function renderAdvice(thoughtfulResponse, advice, isStreaming) {
+    thoughtfulResponse.classList.toggle('streaming', isStreaming);
+    thoughtfulResponse.replaceChildren(renderMarkdown(advice));
+}
 
-    resultsDiv.appendChild(thoughtfulResponse);
+const ADVICE_SECTION_ICONS = {
+    clothing: 'fa-tshirt',
+    activities: 'fa-hiking',
+    health: 'fa-heartbeat',
+    commute: 'fa-bus',
+    tomorrow: 'fa-calendar-day'
+};
 
-    const toolCallCard = document.createElement('div');
-    toolCallCard.className = 'card tool-call-card';
+// Sections the user folded away stay folded in later answers
+const collapsedAdviceSections = new Set(JSON.parse(localStorage.getItem('collapsedAdviceSections') || '[]'));
 
-    const simulatedFunctionName = requestDetails.requestType === 'forecast'
-        ? 'get_weather_forecast'
-        : 'get_current_weather';
+// Shows the finished advice as its summary followed by one collapsible block per section
+function renderAdviceSections(thoughtfulResponse, sections) {
+    thoughtfulResponse.classList.remove('streaming');
+    thoughtfulResponse.replaceChildren(...sections.map(section => {
+        if (section.id === 'summary') {
+            const summary = document.createElement('div');
+            summary.className = 'advice-summary';
+            summary.appendChild(renderMarkdown(section.content));
+            return summary;
+        }
 
-    const simulatedArguments = `{\n  "latitude": ${requestDetails.latitude?.toFixed(4) || 'null'},\n  "longitude": ${requestDetails.longitude?.toFixed(4) || 'null'}\n}`;
+        const block = document.createElement('details');
+        block.className = 'advice-section';
+        block.open = !collapsedAdviceSections.has(section.id);
+        const title = document.createElement('summary');
+        title.innerHTML = html`<i class="fas ${ADVICE_SECTION_ICONS[section.id] || 'fa-info-circle'}"></i> ${section.title}`;
+        block.append(title, renderMarkdown(section.content));
+        block.addEventListener('toggle', () => {
+            if (block.open) collapsedAdviceSections.delete(section.id);
+            else collapsedAdviceSections.add(section.id);
+            localStorage.setItem('collapsedAdviceSections', JSON.stringify([...collapsedAdviceSections]));
+        });
+        return block;
+    }));
+}
 
-    toolCallCard.innerHTML = `
-        <h2><i class="fas fa-cogs"></i> LLM Tool Call Simulation</h2>
-        <p>To fulfill your request, the Language Model (like Gaia) conceptually performs a "tool call". Based on its analysis, it decided to use the following tool:</p>
-        <p><strong>Tool/Function Name:</strong> <code>${simulatedFunctionName}</code></p>
-        <p><strong>With Arguments:</strong></p>
-        <pre><code>${simulatedArguments}</code></pre>
-        <p><em>Our backend then uses this information to call the appropriate Nubila Weather API endpoint.</em></p>
-    `;
+// Says that the advice is the plain templated summary because Gaia's advice wasn't available
+function createDegradedNote(degraded) {
+    return html`<p class="degraded-note"><i class="fas fa-exclamation-triangle"></i> Gaia's advice isn't available right now, so this is a plain summary of the weather. <small>(${degraded.reason})</small></p>`;
+}
+
+// Renders the tool-call trace and interpretation cards (the `interpretation` event)
+function displayInterpretation(result, turnDiv, query) {
+    const { requestDetails } = result;
+    const locations = requestDetails.locations?.length ? requestDetails.locations : [requestDetails];
 
-    if (requestDetails.latitude !== null && requestDetails.longitude !== null) {
-       resultsDiv.appendChild(toolCallCard);
+    if (result.toolCalls && result.toolCalls.length > 0) {
+        turnDiv.appendChild(createToolCallCard(result.toolCalls, result.agentReply));
     }
 
     const interpretationCard = document.createElement('div');
     interpretationCard.className = 'card interpretation-card';
-    interpretationCard.innerHTML = `
+    interpretationCard.innerHTML = html`
         <h2><i class="fas fa-brain"></i> Interpreted Request</h2>
-        <p><strong>Query:</strong> ${queryInput.value}</p>
-        <p><strong>Location:</strong> ${requestDetails.locationName || 'N/A'}</p>
-        <p><strong>Coordinates:</strong> Lat: ${requestDetails.latitude?.toFixed(4) || 'N/A'}, Lon: ${requestDetails.longitude?.toFixed(4) || 'N/A'}</p>
+        <p><strong>Query:</strong> ${query}</p>
+        ${locations.map(location => html`
+            <p><strong>Location:</strong> ${location.resolvedName || location.locationName || 'N/A'}</p>
+            <p><strong>Coordinates:</strong> Lat: ${location.latitude?.toFixed(4) || 'N/A'}, Lon: ${location.longitude?.toFixed(4) || 'N/A'}
+                <span class="coordinate-source">(${location.geocoding?.source === 'gazetteer' ? 'from the place gazetteer' : "Gaia's estimate"})</span></p>
+            ${describeCoordinateCheck(location)}
+        `)}
         <p><strong>Request Type:</strong> ${requestDetails.requestType || 'N/A'}</p>
+        ${requestDetails.activity ? html`<p><strong>Activity:</strong> ${requestDetails.activity}</p>` : ''}
+        ${requestDetails.compare ? html`<p><strong>Compared with:</strong> ${requestDetails.compare === 'usual' ? 'the usual' : 'yesterday'}</p>` : ''}
+        ${requestDetails.preferences ? html`<p><strong>Units / Language:</strong> ${requestDetails.preferences.units} · ${describeLanguage(requestDetails.preferences.language)}</p>` : ''}
+        ${requestDetails.profile ? html`<p><strong>Profile:</strong> ${requestDetails.profile.name}</p>` : ''}
+        ${result.cache ? html`<p><strong>Cache:</strong> ${describeCache(result.cache)}</p>` : ''}
+    `;
+    turnDiv.appendChild(interpretationCard);
+
+    locations
+        .filter(location => location.geocoding?.candidates?.length > 0)
+        .forEach(location => turnDiv.appendChild(createPlacePickerCard(location, query)));
+}
+
+// Shows a language code in its own language, e.g. "es" -> "español"
+function describeLanguage(language) {
+    try {
+        return new Intl.DisplayNames([language], { type: 'language' }).of(language) || language;
+    } catch (e) {
+        return language;
+    }
+}
+
+// Summarizes which parts of the answer were served from the server's cache
+function describeCache(cache) {
+    const describePart = (label, meta) => {
+        if (!meta?.hit) return `${label}: fresh`;
+        const age = meta.ageSeconds < 60 ? `${meta.ageSeconds}s` : `${Math.round(meta.ageSeconds / 60)} min`;
+        return `${label}: cached, ${age} old${meta.stale ? ' (refreshing)' : ''}`;
+    };
+    return [
+        describePart('interpretation', cache.analysis),
+        ...cache.weather.map(meta => describePart(`${meta.locationName} weather`, meta))
+    ].join(' · ');
+}
+
+// Warns when Gaia's guessed coordinates were far from the place it named
+function describeCoordinateCheck(location) {
+    const check = location.geocoding?.coordinateCheck;
+    if (!check || check.plausible) return '';
+    return html`<p class="coordinate-warning"><i class="fas fa-exclamation-triangle"></i> Gaia guessed ${check.llmLatitude.toFixed(4)}, ${check.llmLongitude.toFixed(4)}, which is ${check.distanceKm} km away, so the gazetteer's coordinates were used instead.</p>`;
+}
+
+// --- "Did you mean" picker for ambiguous or unknown place names ---
+function createPlacePickerCard(location, query) {
+    const { status, candidates } = location.geocoding;
+
+    const pickerCard = document.createElement('div');
+    pickerCard.className = 'card place-picker-card';
+    pickerCard.innerHTML = html`
+        <h2><i class="fas fa-map-signs"></i> Did you mean...</h2>
+        <p>${status === 'not_found'
+            ? `"${location.locationName}" isn't in our place list, so Gaia's estimated coordinates were used. Similar places:`
+            : `Several places are called "${location.locationName}". Showing ${location.resolvedName}; pick another one to see its weather:`}</p>
+        <div class="place-candidates"></div>
     `;
-    resultsDiv.appendChild(interpretationCard);
-
-    
-
-    // Check Nubila's response structure (Keep this block as is)
-    if (!weatherData || weatherData.ok === false) {
-         // Don't call showError here as it clears resultsDiv, just display the error message
-         const nubilaErrorDiv = document.createElement('div');
-         nubilaErrorDiv.className = 'status-message error-message';
-         nubilaErrorDiv.style.marginTop = '20px';
-         nubilaErrorDiv.textContent = `Nubila API Error: ${weatherData?.message || 'Failed to fetch details from Nubila.'}`;
-         resultsDiv.appendChild(nubilaErrorDiv); // Append error after interpretation/tool card
-         return; // Stop further processing
+
+    const candidatesDiv = pickerCard.querySelector('.place-candidates');
+    candidates.forEach(candidate => {
+        const candidateBtn = document.createElement('button');
+        candidateBtn.className = 'place-candidate-btn';
+        candidateBtn.textContent = `${candidate.label} (pop. ${candidate.population.toLocaleString()})`;
+        candidateBtn.addEventListener('click', () => {
+            askQuestion(query, { [location.locationName]: candidate.id }, `${query} (${candidate.label})`);
+        });
+        candidatesDiv.appendChild(candidateBtn);
+    });
+    return pickerCard;
+}
+
+// Renders the comparison and current weather / forecast cards (the `weather` event)
+function displayWeatherData(result, turnDiv) {
+    const { locationsWeather } = result;
+    const language = result.preferences?.language;
+
+    if (locationsWeather.length > 1) {
+        turnDiv.appendChild(createComparisonCard(locationsWeather));
     }
 
+    locationsWeather.forEach(location => {
+        appendWeatherCards(turnDiv, location, language, result.preferences?.units);
+    });
+}
+
+// --- Current weather / forecast cards for one location ---
+// Values arrive already converted to the user's units (labels in `weatherData.units`, system `unitSystem`);
+// dates are formatted for `language` in the location's own timezone.
+function appendWeatherCards(turnDiv, location, language, unitSystem) {
+    const { weatherData, requestType, locationName, timezone, timeWindow } = location;
+
     // Display Current Weather or Forecast
 
     // ** CURRENT WEATHER **
-    if (requestDetails.requestType === 'current' && weatherData.data && typeof weatherData.data === 'object' && !Array.isArray(weatherData.data)) {
+    if (requestType === 'current' && weatherData?.type === 'current') {
         const current = weatherData.data;
+        const units = weatherData.units;
         const currentCard = document.createElement('div');
         currentCard.className = 'card current-weather-card';
-        currentCard.innerHTML = `
-            <h2><i class="fas fa-map-marker-alt"></i> Current Weather in ${current.location_name || requestDetails.locationName}</h2>
-            <p class="temperature">${current.temperature?.toFixed(1)}°C</p>
+        currentCard.innerHTML = html`
+            <h2><i class="fas fa-map-marker-alt"></i> Current Weather in ${weatherData.location.name || locationName}</h2>
+            <p class="temperature">${current.temperature?.toFixed(1)}${units.temperature}</p>
             <p class="condition">
-                ${current.condition || ''} (${current.condition_desc || ''})
-                ${current.condition_icon ? `<img src="${getIconUrl(current.condition_icon)}" alt="${current.condition_desc || ''}">` : ''}
+                ${current.condition || ''} (${current.description || ''})
+                ${current.icon ? html`<img src="${getIconUrl(current.icon)}" alt="${current.description || ''}">` : ''}
             </p>
-            <p><strong>Feels Like:</strong> ${current.feels_like?.toFixed(1)}°C</p>
-            <p><strong>Min/Max:</strong> ${current.temperature_min?.toFixed(1)}°C / ${current.temperature_max?.toFixed(1)}°C</p>
+            <p><strong>Feels Like:</strong> ${current.feelsLike?.toFixed(1)}${units.temperature}</p>
+            <p><strong>Min/Max:</strong> ${current.temperatureMin?.toFixed(1)}${units.temperature} / ${current.temperatureMax?.toFixed(1)}${units.temperature}</p>
             <p><strong>Humidity:</strong> ${current.humidity}%</p>
-            <p><strong>Pressure:</strong> ${current.pressure} hPa</p>
-            <p><strong>Wind:</strong> ${current.wind_speed?.toFixed(1)} m/s from ${current.wind_direction}°</p>
-            <p><strong>UV Index:</strong> ${current.uv ?? 'N/A'}</p>
-            <p><strong>Rain (1h):</strong> ${current.rain ?? 0} mm</p>
-            <p><strong>Elevation:</strong> ${current.elevation} m</p>
-            <p><strong>Timestamp:</strong> ${new Date(current.timestamp * 1000).toLocaleString()}</p>
+            <p><strong>Pressure:</strong> ${current.pressure} ${units.pressure}</p>
+            <p><strong>Wind:</strong> ${current.windSpeed?.toFixed(1)} ${units.windSpeed} from ${current.windDirection}°</p>
+            <p><strong>UV Index:</strong> ${current.uvIndex ?? 'N/A'}</p>
+            <p><strong>Rain (1h):</strong> ${current.rain} ${units.precipitation}</p>
+            <p><strong>Elevation:</strong> ${weatherData.location.elevation ?? 'N/A'} m</p>
+            <p><strong>Timestamp:</strong> ${new Date(current.timestamp * 1000).toLocaleString(language, { timeZone: timezone || undefined, timeZoneName: 'short' })}</p>
+            ${describeProvider(weatherData)}
         `;
-        resultsDiv.appendChild(currentCard);
+        currentCard.querySelector('.temperature').after(createHistoryTrend(location, unitSystem));
+        turnDiv.appendChild(currentCard);
 
     // ** FORECAST WEATHER **
-    } else if (requestDetails.requestType === 'forecast' && weatherData.data && Array.isArray(weatherData.data)) {
+    } else if (requestType === 'forecast' && weatherData?.type === 'forecast') {
         const forecastSection = document.createElement('div');
         forecastSection.className = 'card forecast-section';
-        forecastSection.innerHTML = `<h2><i class="fas fa-calendar-alt"></i> Forecast for ${weatherData.data[0]?.location_name || requestDetails.locationName}</h2>`;
-
-        if (weatherData.data.length > 0) {
-            const groupedForecasts = groupForecastsByDay(weatherData.data);
-            const forecastContainer = document.createElement('div');
-
-            for (const day in groupedForecasts) {
-                const dayHeader = document.createElement('h3');
-                dayHeader.className = 'forecast-day-header';
-                dayHeader.textContent = day;
-                forecastContainer.appendChild(dayHeader);
-
-                const dayGrid = document.createElement('div');
-                dayGrid.className = 'forecast-grid';
-
-                groupedForecasts[day].forEach(forecast => {
-                    const forecastItem = document.createElement('div');
-                    forecastItem.className = 'forecast-item';
-                    const forecastDate = new Date(forecast.timestamp * 1000);
-
-                    forecastItem.innerHTML = `
-                        <p class="time">${forecastDate.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', hour12: true })}</p>
-                        <p class="temp">${forecast.temperature?.toFixed(1)}°C</p>
-                        <div class="condition">
-                           ${forecast.condition_icon ? `<img src="${getIconUrl(forecast.condition_icon)}" alt="${forecast.condition_desc || ''}">` : ''}
-                           <span>${forecast.condition || ''}</span>
-                        </div>
-                        <p><i class="fas fa-tint" title="Humidity"></i> ${forecast.humidity}%</p>
-                        <p><i class="fas fa-wind" title="Wind Speed"></i> ${forecast.wind_speed?.toFixed(1)} m/s</p>
-                        <p title="Feels Like">${forecast.feels_like?.toFixed(1)}°C</p>
-                    `;
-                    dayGrid.appendChild(forecastItem);
-                });
-                forecastContainer.appendChild(dayGrid);
-            }
-            forecastSection.appendChild(forecastContainer);
+        forecastSection.innerHTML = html`<h2><i class="fas fa-calendar-alt"></i> Forecast for ${weatherData.location.name || locationName}${timeWindow ? ` — ${timeWindow.label}` : ''}</h2>${describeProvider(weatherData)}`;
 
+        // A question about a particular time shows just that window, with the day-by-day forecast folded away;
+        // otherwise every day gets a summary row that opens to its hourly detail
+        const windowEntries = timeWindow
+            ? weatherData.data.filter(entry => entry.timestamp >= timeWindow.start && entry.timestamp < timeWindow.end)
+            : weatherData.data;
+
+        // The chart always spans the whole forecast, with the asked-about window shaded
+        if (weatherData.data.length > 1) {
+            forecastSection.appendChild(createForecastChart(weatherData.data, { units: weatherData.units, language, timeZone: timezone, highlight: timeWindow }));
+        }
+
+        if (windowEntries.length === 0) {
+            // Appended as an element: rewriting innerHTML would drop the chart's event listeners
+            const noDataMessage = document.createElement('p');
+            noDataMessage.textContent = timeWindow
+                ? `No forecast data for ${timeWindow.label}; the forecast only reaches about 5 days ahead.`
+                : 'No forecast data available.';
+            forecastSection.appendChild(noDataMessage);
+        } else if (timeWindow || !weatherData.daily) {
+            forecastSection.appendChild(createForecastGrid(windowEntries, weatherData.units, language, timezone));
         } else {
-            forecastSection.innerHTML += `<p>No forecast data available.</p>`;
+            forecastSection.appendChild(createDailyForecast(weatherData, language, timezone));
+        }
+
+        if (timeWindow && weatherData.data.length > 0) {
+            const fullForecast = document.createElement('details');
+            fullForecast.className = 'full-forecast';
+            fullForecast.innerHTML = `<summary>Full forecast</summary>`;
+            fullForecast.appendChild(weatherData.daily
+                ? createDailyForecast(weatherData, language, timezone)
+                : createForecastGrid(weatherData.data, weatherData.units, language, timezone));
+            forecastSection.appendChild(fullForecast);
         }
-        resultsDiv.appendChild(forecastSection);
-
-    } else if (weatherData.message && !weatherData.data) {
-         // This case handles Nubila API errors when NO weather/forecast data section was added
-         // It might be redundant given the check in #3, but safe to keep.
-         const nubilaErrorDiv = document.createElement('div');
-         nubilaErrorDiv.className = 'status-message error-message';
-         nubilaErrorDiv.style.marginTop = '20px';
-         nubilaErrorDiv.textContent = `Nubila API Error: ${weatherData.message}`;
-         resultsDiv.appendChild(nubilaErrorDiv);
-
-    } else if (!weatherData.message) { // Only show this generic error if no specific Nubila error was found earlier
-        // Handle cases where the type doesn't match the data structure AFTER the specific checks
-         const fallbackErrorDiv = document.createElement('div');
-         fallbackErrorDiv.className = 'status-message error-message';
-         fallbackErrorDiv.style.marginTop = '20px';
-         fallbackErrorDiv.textContent = `Received unexpected data format from Nubila.`;
-         resultsDiv.appendChild(fallbackErrorDiv);
-         console.warn("Unhandled Nubila data format:", weatherData);
+        turnDiv.appendChild(forecastSection);
+
+    } else {
+        // Don't call showError here, just display the error message inside this turn
+        const fallbackErrorDiv = document.createElement('div');
+        fallbackErrorDiv.className = 'status-message error-message';
+        fallbackErrorDiv.style.marginTop = '20px';
+        fallbackErrorDiv.textContent = `Received unexpected weather data for ${locationName}.`;
+        turnDiv.appendChild(fallbackErrorDiv);
+        console.warn("Unhandled weather data format:", weatherData);
+        return;
+    }
+
+    // ** ACTIVITY SUITABILITY **
+    if (weatherData.activity) {
+        turnDiv.appendChild(createActivityCard(weatherData.activity, language, timezone));
+    }
+}
+
+// --- Recorded history next to the current weather ---
+// How now compares with yesterday and the usual (`weatherData.history`), and a sparkline of the temperatures
+// recorded over the last two days, loaded from /api/history once the card is shown.
+const HISTORY_TREND_HOURS = 48;
+
+function describeTemperatureDifference(difference, unit, than) {
+    if (difference === 0) return `Same as ${than}`;
+    return `${difference > 0 ? '▲' : '▼'} ${Math.abs(difference).toFixed(1)}${unit} ${difference > 0 ? 'warmer' : 'colder'} than ${than}`;
+}
+
+function createHistoryTrend(location, unitSystem) {
+    const { weatherData, latitude, longitude } = location;
+    const { yesterday, usual } = weatherData.history || {};
+    const unit = weatherData.units.temperature;
+    const trend = document.createElement('div');
+    trend.className = 'history-trend';
+
+    const comparisons = [
+        typeof yesterday?.differences.temperature === 'number' ? describeTemperatureDifference(yesterday.differences.temperature, unit, 'yesterday') : null,
+        typeof usual?.differences.temperature === 'number' ? describeTemperatureDifference(usual.differences.temperature, unit, `usual (${usual.days} days)`) : null
+    ].filter(Boolean);
+    trend.innerHTML = html`
+        <span class="history-trend-chart" hidden></span>
+        ${comparisons.map(comparison => html`<span class="history-comparison">${comparison}</span>`)}
+    `;
+
+    if (typeof latitude === 'number' && typeof longitude === 'number') {
+        const params = new URLSearchParams({
+            latitude,
+            longitude,
+            from: Math.floor(Date.now() / 1000) - HISTORY_TREND_HOURS * 60 * 60,
+            ...(unitSystem ? { units: unitSystem } : {})
+        });
+        callJsonApi('GET', `/api/history?${params}`)
+            .then(({ observations }) => {
+                if (observations.length < 2) return;
+                const chart = trend.querySelector('.history-trend-chart');
+                chart.append(createSparkline(observations, 'temperature', { unit, label: `Temperature over the last ${HISTORY_TREND_HOURS} hours` }), `${HISTORY_TREND_HOURS}h`);
+                chart.hidden = false;
+            })
+            .catch(error => console.warn('Could not load the weather history:', error));
+    }
+    return trend;
+}
+
+// --- Activity suitability card ---
+// `activity` is the server's assessment ({ label, timeline, bestWindows, worstWindows }): a strip with one
+// good/fair/poor segment per forecast step, grouped by local day, and the best and worst windows.
+function createActivityCard(activity, language, timeZone) {
+    const dayKeyFormat = new Intl.DateTimeFormat('en-CA', { timeZone: timeZone || undefined, year: 'numeric', month: '2-digit', day: '2-digit' });
+    const timeFormat = new Intl.DateTimeFormat(language, { hour: '2-digit', minute: '2-digit', timeZone: timeZone || undefined });
+    const windowFormat = new Intl.DateTimeFormat(language, { weekday: 'short', hour: '2-digit', minute: '2-digit', timeZone: timeZone || undefined });
+    const card = document.createElement('div');
+    card.className = 'card activity-card';
+    card.innerHTML = html`<h2><i class="fas fa-running"></i> ${activity.label}</h2>`;
+
+    if (activity.timeline.length === 0) {
+        const noDataMessage = document.createElement('p');
+        noDataMessage.textContent = 'No forecast data to score for this time.';
+        card.appendChild(noDataMessage);
+        return card;
+    }
+
+    // One group of segments per local day
+    const strip = document.createElement('div');
+    strip.className = 'activity-strip';
+    const days = new Map();
+    activity.timeline.forEach(step => {
+        const dayKey = dayKeyFormat.format(new Date(step.timestamp * 1000));
+        if (!days.has(dayKey)) days.set(dayKey, []);
+        days.get(dayKey).push(step);
+    });
+    days.forEach(steps => {
+        const dayGroup = document.createElement('div');
+        dayGroup.className = 'activity-day';
+        dayGroup.style.flexGrow = steps.length;
+        dayGroup.innerHTML = html`<span class="activity-day-label">${formatDayLabel(new Date(steps[0].timestamp * 1000), language, timeZone)}</span>`;
+        const segments = document.createElement('div');
+        segments.className = 'activity-segments';
+        steps.forEach(step => {
+            const segment = document.createElement('span');
+            segment.className = `activity-segment activity-${step.rating}`;
+            segment.title = `${timeFormat.format(new Date(step.timestamp * 1000))}: ${step.rating} (${step.score}/100)${step.reasons.length ? ` — ${step.reasons.join(', ')}` : ''}`;
+            segments.appendChild(segment);
+        });
+        dayGroup.appendChild(segments);
+        strip.appendChild(dayGroup);
+    });
+    card.appendChild(strip);
+
+    const describeWindows = (windows, emptyText) => windows.length
+        ? windows.map(window => html`
+            <li>
+                <strong>${windowFormat.format(new Date(window.start * 1000))} – ${windowFormat.format(new Date(window.end * 1000))}</strong>
+                <span class="activity-score">${window.score}/100</span>
+                ${window.reasons.length ? html`<span class="activity-reasons">${window.reasons.join(', ')}</span>` : ''}
+            </li>`)
+        : html`<li class="activity-none">${emptyText}</li>`;
+    const windowLists = document.createElement('div');
+    windowLists.className = 'activity-windows';
+    windowLists.innerHTML = html`
+        <div class="activity-best">
+            <h3><i class="fas fa-thumbs-up"></i> Best times</h3>
+            <ul>${describeWindows(activity.bestWindows, 'No good window in this forecast.')}</ul>
+        </div>
+        <div class="activity-worst">
+            <h3><i class="fas fa-thumbs-down"></i> Times to avoid</h3>
+            <ul>${describeWindows(activity.worstWindows, 'Nothing to avoid.')}</ul>
+        </div>
+    `;
+    card.appendChild(windowLists);
+    return card;
+}
+
+// Forecast entries grouped under day headers, with times shown in the location's timezone
+function createForecastGrid(entries, units, language, timeZone) {
+    const groupedForecasts = groupForecastsByDay(entries, language, timeZone);
+    const forecastContainer = document.createElement('div');
+
+    for (const day in groupedForecasts) {
+        const dayHeader = document.createElement('h3');
+        dayHeader.className = 'forecast-day-header';
+        dayHeader.textContent = day;
+        forecastContainer.appendChild(dayHeader);
+        forecastContainer.appendChild(createHourlyGrid(groupedForecasts[day], units, language, timeZone));
     }
+    return forecastContainer;
 }
 
-// --- Utility function to group forecasts by day ---
-function groupForecastsByDay(forecastList) {
+// One card per forecast step (3-hour steps)
+function createHourlyGrid(entries, units, language, timeZone) {
+    const dayGrid = document.createElement('div');
+    dayGrid.className = 'forecast-grid';
+
+    entries.forEach(forecast => {
+        const forecastItem = document.createElement('div');
+        forecastItem.className = 'forecast-item';
+        const forecastDate = new Date(forecast.timestamp * 1000);
+
+        forecastItem.innerHTML = html`
+            <p class="time">${forecastDate.toLocaleTimeString(language, { hour: '2-digit', minute: '2-digit', timeZone: timeZone || undefined })}</p>
+            <p class="temp">${forecast.temperature?.toFixed(1)}${units.temperature}</p>
+            <div class="condition">
+               ${forecast.icon ? html`<img src="${getIconUrl(forecast.icon)}" alt="${forecast.description || ''}">` : ''}
+               <span>${forecast.condition || ''}</span>
+            </div>
+            <p><i class="fas fa-tint" title="Humidity"></i> ${forecast.humidity}%</p>
+            <p><i class="fas fa-wind" title="Wind Speed"></i> ${forecast.windSpeed?.toFixed(1)} ${units.windSpeed}</p>
+            <p title="Feels Like">${forecast.feelsLike?.toFixed(1)}${units.temperature}</p>
+        `;
+        dayGrid.appendChild(forecastItem);
+    });
+    return dayGrid;
+}
+
+// Daily summary rows built from the server's `daily` summaries: high/low, total rain, strongest wind
+// and gusts, the dominant condition and the hours with notable weather. Each row opens to that day's steps.
+function createDailyForecast(weatherData, language, timeZone) {
+    const { daily, data, units } = weatherData;
+    const dayKeyFormat = new Intl.DateTimeFormat('en-CA', { timeZone: timeZone || undefined, year: 'numeric', month: '2-digit', day: '2-digit' });
+    const timeFormat = new Intl.DateTimeFormat(language, { hour: '2-digit', minute: '2-digit', timeZone: timeZone || undefined });
+    const formatValue = (value, unit, digits = 1) => typeof value === 'number' ? `${value.toFixed(digits)}${unit}` : 'N/A';
+    const container = document.createElement('div');
+    container.className = 'daily-forecast';
+
+    daily.forEach(day => {
+        const entries = data.filter(entry => dayKeyFormat.format(new Date(entry.timestamp * 1000)) === day.date);
+        if (entries.length === 0) return;
+
+        // "Rain 15:00, 18:00" per kind of notable weather
+        const notableTimes = {};
+        day.notable.forEach(step => step.reasons.forEach(reason => {
+            (notableTimes[reason] = notableTimes[reason] || []).push(timeFormat.format(new Date(step.timestamp * 1000)));
+        }));
+        const notableChips = Object.entries(notableTimes)
+            .map(([reason, times]) => html`<span class="notable-chip">${reason} ${times.join(', ')}</span>`);
+
+        const dayRow = document.createElement('details');
+        dayRow.className = 'forecast-day';
+        dayRow.innerHTML = html`
+            <summary class="forecast-day-summary">
+                <span class="day-name">${formatDayLabel(new Date(entries[0].timestamp * 1000), language, timeZone)}${day.partial ? html` <span class="day-partial">(partial)</span>` : ''}</span>
+                <span class="day-condition">
+                    ${day.icon ? html`<img src="${getIconUrl(day.icon)}" alt="${day.description || ''}">` : ''}
+                    ${day.description || day.condition || ''}
+                </span>
+                <span class="day-temps"><strong>${formatValue(day.temperatureMax, units.temperature)}</strong> / ${formatValue(day.temperatureMin, units.temperature)}</span>
+                <span class="day-rain"><i class="fas fa-tint" title="Total precipitation"></i> ${formatValue(day.rain, ` ${units.precipitation}`, units.precipitation === 'in' ? 2 : 1)}</span>
+                <span class="day-wind"><i class="fas fa-wind" title="Strongest wind (gusts)"></i> ${formatValue(day.windSpeed, '')} (${formatValue(day.windGust, '')}) ${units.windSpeed}</span>
+                ${notableChips.length ? html`<span class="day-notable">${notableChips}</span>` : ''}
+            </summary>
+        `;
+        dayRow.appendChild(createHourlyGrid(entries, units, language, timeZone));
+        container.appendChild(dayRow);
+    });
+    return container;
+}
+
+// Names the provider that served the data, and any providers that failed before it
+function describeProvider(weatherData) {
+    const failover = weatherData.failover?.length
+        ? html` <span class="provider-failover">(after ${weatherData.failover.map(failure => failure.provider).join(', ')} failed)</span>`
+        : '';
+    return html`<p class="provider-source"><i class="fas fa-database"></i> Source: ${weatherData.provider}${failover}</p>`;
+}
+
+// --- Side-by-side comparison card for multi-location queries ---
+function createComparisonCard(locationsWeather) {
+    // Forecasts are compared on their first (nearest) entry
+    const units = locationsWeather[0].weatherData.units; // Every location is converted to the same units
+    const snapshots = locationsWeather.map(location => {
+        const { type, data } = location.weatherData;
+        return { locationName: location.locationName, entry: type === 'forecast' ? data[0] : data };
+    });
+
+    const formatValue = (value, unit, digits = 1) =>
+        typeof value === 'number' ? `${value.toFixed(digits)}${unit}` : 'N/A';
+    const rows = [
+        { label: 'Temperature', value: entry => formatValue(entry?.temperature, units.temperature) },
+        { label: 'Feels Like', value: entry => formatValue(entry?.feelsLike, units.temperature) },
+        { label: 'Humidity', value: entry => formatValue(entry?.humidity, '%', 0) },
+        { label: 'Wind', value: entry => formatValue(entry?.windSpeed, ` ${units.windSpeed}`) },
+        { label: 'Rain', value: entry => formatValue(entry?.rain, ` ${units.precipitation}`, units.precipitation === 'in' ? 2 : 1) }
+    ];
+
+    const comparisonCard = document.createElement('div');
+    comparisonCard.className = 'card comparison-card';
+    comparisonCard.innerHTML = html`
+        <h2><i class="fas fa-balance-scale"></i> Comparison</h2>
+        <table class="comparison-table">
+            <thead>
+                <tr><th></th>${snapshots.map(snapshot => html`<th>${snapshot.locationName || 'N/A'}</th>`)}</tr>
+            </thead>
+            <tbody>
+                ${rows.map(row => html`
+                    <tr><th>${row.label}</th>${snapshots.map(snapshot => html`<td>${row.value(snapshot.entry)}</td>`)}</tr>
+                `)}
+            </tbody>
+        </table>
+    `;
+    return comparisonCard;
+}
+
+// --- Tool call trace card ---
+function createToolCallCard(toolCalls, agentReply) {
+    const toolCallCard = document.createElement('div');
+    toolCallCard.className = 'card tool-call-card';
+
+    const callsHtml = toolCalls.map((call, index) => html`
+        <div class="tool-call ${call.ok ? 'tool-call-ok' : 'tool-call-failed'}">
+            <p><strong>Call ${index + 1}:</strong> <code>${call.name}</code> ${call.ok ? html`<i class="fas fa-check-circle"></i>` : html`<i class="fas fa-times-circle"></i>`}</p>
+            <p><strong>Arguments:</strong></p>
+            <pre><code>${JSON.stringify(call.arguments, null, 2)}</code></pre>
+            <p><strong>Result:</strong></p>
+            <pre><code>${call.ok ? JSON.stringify(call.summary, null, 2) : `Error: ${call.error}`}</code></pre>
+        </div>
+    `);
+
+    toolCallCard.innerHTML = html`
+        <h2><i class="fas fa-cogs"></i> LLM Tool Calls</h2>
+        <p>Gaia answered your request by calling the following tools. Each call was executed against the configured weather providers and its result was sent back to the model:</p>
+        ${callsHtml}
+        ${agentReply ? html`<p><strong>Model reply:</strong> ${agentReply}</p>` : ''}
+    `;
+    return toolCallCard;
+}
+
+// --- Saved locations & alerts panel ---
+
+// Calls the alerts or profiles API and returns the parsed JSON body (null for 204); throws with the server's message on errors
+async function callJsonApi(method, url, body) {
+    const response = await fetch(url, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const result = response.status === 204 ? null : await response.json();
+    if (!response.ok) {
+        const error = new Error(result?.message || `An error occurred (Status: ${response.status})`);
+        error.result = result;
+        throw error;
+    }
+    return result;
+}
+
+function showAlertsMessage(message, isError = false) {
+    alertsMessage.textContent = message;
+    alertsMessage.classList.toggle('error-message', isError);
+}
+
+async function loadSavedLocations() {
+    try {
+        renderSavedLocations(await callJsonApi('GET', '/api/locations'));
+    } catch (err) {
+        showAlertsMessage(err.message, true);
+    }
+}
+
+// Saves a location by name, or by `placeId` after the user picked one of several same-named places
+async function saveLocation(body) {
+    showAlertsMessage('');
+    try {
+        await callJsonApi('POST', '/api/locations', body);
+        newLocationInput.value = '';
+        await loadSavedLocations();
+    } catch (err) {
+        const candidates = err.result?.candidates || [];
+        showAlertsMessage(err.message, true);
+        candidates.forEach(candidate => {
+            const candidateBtn = document.createElement('button');
+            candidateBtn.className = 'place-candidate-btn';
+            candidateBtn.textContent = candidate.label;
+            candidateBtn.addEventListener('click', () => saveLocation({ placeId: candidate.id }));
+            alertsMessage.appendChild(candidateBtn);
+        });
+    }
+}
+
+async function updateAlerts(method, url, body) {
+    showAlertsMessage('');
+    try {
+        await callJsonApi(method, url, body);
+        await loadSavedLocations();
+    } catch (err) {
+        showAlertsMessage(err.message, true);
+    }
+}
+
+async function checkAlertsNow() {
+    showAlertsMessage('Checking alerts...');
+    try {
+        const { results } = await callJsonApi('POST', '/api/alerts/check');
+        const fired = results.flatMap(result => (result.evaluations || []).filter(evaluation => evaluation.fired));
+        const failed = results.filter(result => result.error || (result.evaluations?.some(evaluation => evaluation.fired) && !result.delivered));
+        showAlertsMessage(`Checked ${results.length} location(s): ${fired.length} new alert(s)${failed.length ? `, ${failed.length} location(s) failed` : ''}.`, failed.length > 0);
+        await loadSavedLocations();
+    } catch (err) {
+        showAlertsMessage(err.message, true);
+    }
+}
+
+function renderSavedLocations({ locations, metrics, operators }) {
+    savedLocationsDiv.innerHTML = '';
+    if (locations.length === 0) {
+        savedLocationsDiv.innerHTML = `<p class="alerts-help">No saved locations yet.</p>`;
+        return;
+    }
+    locations.forEach(location => savedLocationsDiv.appendChild(createSavedLocationItem(location, metrics, operators)));
+}
+
+function createSavedLocationItem(location, metrics, operators) {
+    const item = document.createElement('div');
+    item.className = 'saved-location';
+
+    const header = document.createElement('div');
+    header.className = 'saved-location-header';
+    const name = document.createElement('strong');
+    name.textContent = location.name;
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'icon-btn';
+    removeBtn.title = 'Remove location';
+    removeBtn.innerHTML = '<i class="fas fa-trash"></i>';
+    removeBtn.addEventListener('click', () => updateAlerts('DELETE', `/api/locations/${location.id}`));
+    header.append(name, removeBtn);
+    item.appendChild(header);
+
+    const ruleList = document.createElement('ul');
+    ruleList.className = 'alert-rules';
+    location.rules.forEach(rule => {
+        const ruleItem = document.createElement('li');
+        ruleItem.classList.toggle('alert-rule-firing', rule.triggered);
+        ruleItem.classList.toggle('alert-rule-disabled', !rule.enabled);
+
+        const description = document.createElement('span');
+        description.textContent = `${rule.description}${rule.triggered ? ' — firing' : ''}${rule.enabled ? '' : ' (paused)'}`;
+        const toggleBtn = document.createElement('button');
+        toggleBtn.className = 'icon-btn';
+        toggleBtn.title = rule.enabled ? 'Pause rule' : 'Resume rule';
+        toggleBtn.innerHTML = `<i class="fas ${rule.enabled ? 'fa-pause' : 'fa-play'}"></i>`;
+        toggleBtn.addEventListener('click', () => updateAlerts('PUT', `/api/rules/${rule.id}`, { enabled: !rule.enabled }));
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'icon-btn';
+        deleteBtn.title = 'Delete rule';
+        deleteBtn.innerHTML = '<i class="fas fa-times"></i>';
+        deleteBtn.addEventListener('click', () => updateAlerts('DELETE', `/api/rules/${rule.id}`));
+
+        ruleItem.append(description, toggleBtn, deleteBtn);
+        ruleList.appendChild(ruleItem);
+    });
+    item.appendChild(ruleList);
+
+    // New rule: metric, comparison, threshold and look-ahead window
+    const ruleForm = document.createElement('form');
+    ruleForm.className = 'alerts-form rule-form';
+    ruleForm.innerHTML = html`
+        <select name="metric">
+            ${Object.entries(metrics).map(([key, metric]) => html`<option value="${key}">${metric.label}${metric.unit ? ` (${metric.unit})` : ''}</option>`)}
+        </select>
+        <select name="operator">
+            ${operators.map(operator => html`<option value="${operator}">${operator}</option>`)}
+        </select>
+        <input type="number" name="threshold" step="any" placeholder="Threshold" required>
+        <label>in the next <input type="number" name="windowHours" min="1" max="120" value="24" required> h</label>
+        <button type="submit"><i class="fas fa-plus"></i> Add rule</button>
+    `;
+    ruleForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        updateAlerts('POST', `/api/locations/${location.id}/rules`, {
+            metric: ruleForm.elements.metric.value,
+            operator: ruleForm.elements.operator.value,
+            threshold: Number(ruleForm.elements.threshold.value),
+            windowHours: Number(ruleForm.elements.windowHours.value)
+        });
+    });
+    item.appendChild(ruleForm);
+
+    return item;
+}
+
+// --- Advice profiles panel ---
+
+function showProfilesMessage(message, isError = false) {
+    profilesMessage.textContent = message;
+    profilesMessage.classList.toggle('error-message', isError);
+}
+
+// Fetches the profiles for the Profile toggle and the panel. A remembered profile that no longer exists
+// falls back to none.
+async function loadProfiles() {
+    try {
+        const result = await callJsonApi('GET', '/api/profiles');
+        const selected = profileSelect.value || localStorage.getItem('profileId') || '';
+        profileSelect.innerHTML = html`
+            <option value="">None</option>
+            ${result.profiles.map(profile => html`<option value="${profile.id}">${profile.name}</option>`)}
+        `;
+        profileSelect.value = result.profiles.some(profile => profile.id === selected) ? selected : '';
+        localStorage.setItem('profileId', profileSelect.value);
+        renderProfiles(result);
+    } catch (err) {
+        showProfilesMessage(err.message, true);
+    }
+}
+
+// The new-profile form is built from the options the server accepts
+function renderProfileForm({ options, sections }) {
+    const choices = (name, values, labels = {}) => html`
+        <select name="${name}">
+            ${values.map(value => html`<option value="${value}">${labels[value] || value}</option>`)}
+        </select>
+    `;
+    const checkboxes = (name, values, labels = {}, checked = false) => values.map(value => html`
+        <label class="profile-checkbox"><input type="checkbox" name="${name}" value="${value}" ${checked ? 'checked' : ''}> ${labels[value] || value}</label>
+    `);
+    const sectionTitles = Object.fromEntries(sections.map(section => [section.id, section.title]));
+
+    addProfileForm.innerHTML = html`
+        <input type="text" name="name" placeholder="Profile name, e.g. 'Sam'" maxlength="60" required>
+        <label>Heat sensitivity ${choices('heatSensitivity', options.heatSensitivity)}</label>
+        <label>Cold sensitivity ${choices('coldSensitivity', options.coldSensitivity)}</label>
+        <label>Commute ${choices('commute', options.commute)}</label>
+        <label>Tone ${choices('tone', options.tone)}</label>
+        <fieldset><legend>Allergies</legend>${checkboxes('allergies', options.allergies)}</fieldset>
+        <fieldset><legend>Household</legend>
+            <label class="profile-checkbox"><input type="checkbox" name="kids"> Kids</label>
+            <label class="profile-checkbox"><input type="checkbox" name="pets"> Pets</label>
+        </fieldset>
+        <fieldset><legend>Sections</legend>${checkboxes('sections', options.sections, sectionTitles, true)}</fieldset>
+        <button type="submit"><i class="fas fa-plus"></i> Save profile</button>
+    `;
+}
+
+async function saveProfile() {
+    const elements = addProfileForm.elements;
+    const checkedValues = name => [...addProfileForm.querySelectorAll(`input[name="${name}"]:checked`)].map(input => input.value);
+    showProfilesMessage('');
+    try {
+        const { profile } = await callJsonApi('POST', '/api/profiles', {
+            name: elements.name.value.trim(),
+            heatSensitivity: elements.heatSensitivity.value,
+            coldSensitivity: elements.coldSensitivity.value,
+            commute: elements.commute.value,
+            tone: elements.tone.value,
+            allergies: checkedValues('allergies'),
+            kids: elements.kids.checked,
+            pets: elements.pets.checked,
+            sections: checkedValues('sections')
+        });
+        addProfileForm.reset();
+        // Pick the new profile right away
+        profileSelect.value = '';
+        localStorage.setItem('profileId', profile.id);
+        await loadProfiles();
+    } catch (err) {
+        showProfilesMessage(err.message, true);
+    }
+}
+
+async function removeProfile(profile) {
+    showProfilesMessage('');
+    try {
+        await callJsonApi('DELETE', `/api/profiles/${profile.id}`);
+        await loadProfiles();
+    } catch (err) {
+        showProfilesMessage(err.message, true);
+    }
+}
+
+// One-line summary of a profile's settings, e.g. "Heat: high · Commute: bike · Tone: brief · Kids"
+function describeProfile(profile, sections) {
+    const sectionTitles = Object.fromEntries(sections.map(section => [section.id, section.title]));
+    return [
+        profile.heatSensitivity !== 'normal' && `Heat: ${profile.heatSensitivity}`,
+        profile.coldSensitivity !== 'normal' && `Cold: ${profile.coldSensitivity}`,
+        profile.allergies.length > 0 && `Allergies: ${profile.allergies.join(', ')}`,
+        profile.commute !== 'none' && `Commute: ${profile.commute}`,
+        profile.kids && 'Kids',
+        profile.pets && 'Pets',
+        `Tone: ${profile.tone}`,
+        `Sections: ${profile.sections.map(id => sectionTitles[id] || id).join(', ')}`
+    ].filter(Boolean).join(' · ');
+}
+
+function renderProfiles(result) {
+    const { profiles, sections } = result;
+    if (!addProfileForm.elements.length) renderProfileForm(result);
+
+    savedProfilesDiv.innerHTML = '';
+    if (profiles.length === 0) {
+        savedProfilesDiv.innerHTML = `<p class="alerts-help">No profiles yet.</p>`;
+        return;
+    }
+    profiles.forEach(profile => {
+        const item = document.createElement('div');
+        item.className = 'saved-location saved-profile';
+        item.innerHTML = html`
+            <div class="saved-location-header">
+                <strong>${profile.name}</strong>
+                <button class="icon-btn" title="Delete profile"><i class="fas fa-trash"></i></button>
+            </div>
+            <p class="alerts-help">${describeProfile(profile, sections)}</p>
+        `;
+        item.querySelector('button').addEventListener('click', () => removeProfile(profile));
+        savedProfilesDiv.appendChild(item);
+    });
+}
+
+// --- Utility functions to label and group forecasts by day ---
+// Days are the location's calendar days (`timeZone`), not the browser's, so "Today" and "Tomorrow"
+// are right for distant cities. Day labels ("Today", "Tomorrow", weekday) are written in `language`.
+function formatDayLabel(date, language, timeZone) {
+    const relativeDays = new Intl.RelativeTimeFormat(language, { numeric: 'auto' });
+    const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
+    // "YYYY-MM-DD" of a moment in the location's timezone, as a UTC midnight for day arithmetic
+    const dayKeyFormat = new Intl.DateTimeFormat('en-CA', { timeZone: timeZone || undefined, year: 'numeric', month: '2-digit', day: '2-digit' });
+    const localDay = moment => Date.parse(`${dayKeyFormat.format(moment)}T00:00:00Z`);
+    const daysAhead = Math.round((localDay(date) - localDay(new Date())) / (24 * 60 * 60 * 1000));
+
+    if (daysAhead === 0 || daysAhead === 1) {
+        return capitalize(relativeDays.format(daysAhead, 'day'));
+    }
+    return date.toLocaleDateString(language, { weekday: 'long', month: 'short', day: 'numeric', timeZone: timeZone || undefined });
+}
+
+function groupForecastsByDay(forecastList, language, timeZone) {
     const groups = {};
-    const today = new Date();
-    today.setHours(0,0,0,0); // Start of today
-    const tomorrow = new Date(today);
-    tomorrow.setDate(today.getDate() + 1); // Start of tomorrow
 
     forecastList.forEach(forecast => {
-        const date = new Date(forecast.timestamp * 1000);
-        date.setHours(0,0,0,0); // Get start of the forecast day
-
-        let dayLabel;
-        if (date.getTime() === today.getTime()) {
-            dayLabel = "Today";
-        } else if (date.getTime() === tomorrow.getTime()) {
-            dayLabel = "Tomorrow";
-        } else {
-            dayLabel = date.toLocaleDateString([], { weekday: 'long', month: 'short', day: 'numeric' });
-        }
+        const dayLabel = formatDayLabel(new Date(forecast.timestamp * 1000), language, timeZone);
 
         if (!groups[dayLabel]) {
             groups[dayLabel] = [];
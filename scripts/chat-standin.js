@@ -0,0 +1,106 @@
+// scripts/chat-standin.js
+// A local stand-in for a chat platform, to try the chat integrations without a Slack workspace. It sends
+// a question to a running server the way Slack (a signed slash command) or another chat tool (an outgoing
+// webhook) would, listens on a local port as the command's response_url, and prints the acknowledgement
+// and the answer posted there later.
+//
+// usage: node scripts/chat-standin.js slack|webhook "question" [--sync]
+//   slack    signs the command with SLACK_SIGNING_SECRET
+//   webhook  sends BOT_WEBHOOK_TOKEN; with --sync it asks for the answer in the response instead
+// The server is CHAT_SERVER_URL (default http://localhost:$PORT, PORT 3000); its CHAT_RESPONSE_HOSTS must
+// include 127.0.0.1 for answers to reach the stand-in. Exits with status 1 when the server refuses the
+// request or no answer arrives.
+require('dotenv').config();
+const crypto = require('crypto');
+const http = require('http');
+
+const SERVER_URL = (process.env.CHAT_SERVER_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+const ACK_DEADLINE_MS = 3000; // Slack shows "operation_timeout" when a command isn't acknowledged in time
+const ANSWER_TIMEOUT_MS = 120000;
+
+// Listens on a free local port for the answer; `answer` resolves with the first message posted there
+function startResponseReceiver() {
+    let receive;
+    const answer = new Promise(resolve => { receive = resolve; });
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            res.writeHead(200, { 'Content-Type': 'text/plain' });
+            res.end('ok');
+            receive(JSON.parse(raw || '{}'));
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, answer })));
+}
+
+// A slash command as Slack sends it: form-encoded and signed with the app's signing secret
+function slackRequest(question, responseUrl) {
+    const secret = process.env.SLACK_SIGNING_SECRET;
+    if (!secret) throw new Error('Set SLACK_SIGNING_SECRET to the value the server uses.');
+    const body = new URLSearchParams({
+        command: '/weather',
+        text: question,
+        response_url: responseUrl,
+        user_id: 'U0STANDIN',
+        team_id: 'T0STANDIN',
+        channel_id: 'C0STANDIN'
+    }).toString();
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const signature = `v0=${crypto.createHmac('sha256', secret).update(`v0:${timestamp}:${body}`).digest('hex')}`;
+    return {
+        path: '/api/chat/slack',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'X-Slack-Request-Timestamp': timestamp, 'X-Slack-Signature': signature },
+        body
+    };
+}
+
+// An outgoing webhook of a generic chat tool
+function webhookRequest(question, responseUrl) {
+    const token = process.env.BOT_WEBHOOK_TOKEN;
+    if (!token) throw new Error('Set BOT_WEBHOOK_TOKEN to the value the server uses.');
+    return {
+        path: '/api/chat/webhook',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token, text: question, user_name: 'standin', ...(responseUrl ? { response_url: responseUrl } : {}) })
+    };
+}
+
+async function main() {
+    const [platform, question] = process.argv.slice(2);
+    const sync = process.argv.includes('--sync');
+    if (!['slack', 'webhook'].includes(platform) || !question) {
+        throw new Error('usage: node scripts/chat-standin.js slack|webhook "question" [--sync]');
+    }
+
+    const { server, answer } = await startResponseReceiver();
+    try {
+        const responseUrl = sync && platform === 'webhook' ? null : `http://127.0.0.1:${server.address().port}/response`;
+        const request = platform === 'slack' ? slackRequest(question, responseUrl) : webhookRequest(question, responseUrl);
+
+        const started = Date.now();
+        const response = await fetch(`${SERVER_URL}${request.path}`, { method: 'POST', headers: request.headers, body: request.body });
+        const elapsed = Date.now() - started;
+        const text = await response.text();
+        console.log(`Acknowledged with HTTP ${response.status} in ${elapsed} ms:\n${text}\n`);
+        if (elapsed > ACK_DEADLINE_MS) console.warn(`Warning: slower than the ${ACK_DEADLINE_MS / 1000} seconds Slack waits.`);
+        if (!response.ok) {
+            process.exitCode = 1;
+            return;
+        }
+        // Usage help and refused questions are answered in the acknowledgement; nothing follows them
+        if (!responseUrl || !text.includes('Looking up')) return;
+
+        const timeout = new Promise(resolve => setTimeout(resolve, ANSWER_TIMEOUT_MS, null).unref());
+        const message = await Promise.race([answer, timeout]);
+        if (!message) throw new Error(`No answer was posted within ${ANSWER_TIMEOUT_MS / 1000} seconds.`);
+        console.log(`Answer posted after ${Date.now() - started} ms:\n${JSON.stringify(message, null, 2)}`);
+    } finally {
+        server.close();
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
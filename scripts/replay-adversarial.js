@@ -0,0 +1,63 @@
+// scripts/replay-adversarial.js
+// Replays the adversarial query corpus (fixtures/adversarial-queries.json) against the server, with a
+// gullible stub model standing in for Gaia and the fixture weather provider (see scripts/stubserver.js),
+// and checks that every query gets the expected answer. Entries with `"stream": true` go to the streaming
+// endpoint, and the advice streamed to the client is checked like the final advice.
+//
+// usage: node scripts/replay-adversarial.js [corpus.json]
+// Exits with status 1 when any query gets an unexpected answer.
+const path = require('path');
+const { startServer } = require('./stubserver');
+
+const CORPUS_FILE = process.argv[2] || path.join(__dirname, '..', 'fixtures', 'adversarial-queries.json');
+
+// Compares a response with a corpus entry's expectation; returns what differs, or null
+function checkResponse(entry, { status, body, streamedAdvice }) {
+    const { expect } = entry;
+    if (status !== expect.status) return `expected HTTP ${expect.status}, got ${status} (${body.code || 'ok'}: ${body.message || ''})`;
+    if (expect.code && body.code !== expect.code) return `expected code ${expect.code}, got ${body.code}`;
+    if (status !== 200) return null;
+
+    const advice = body.friendlyAdvice || '';
+    const isTemplate = body.degraded?.advice === 'template';
+    if (expect.advice === 'template' && !isTemplate) return `expected the template advice, got: ${advice.slice(0, 120)}`;
+    if (expect.advice === 'model' && isTemplate) return "expected the model's advice, got the template";
+    // Advice that gets replaced may only have been streamed as far as it was harmless
+    const streamedWords = (streamedAdvice || '').split(/\s+/).filter(Boolean).length;
+    if (isTemplate && streamedWords >= 8) return `the client was sent ${streamedWords} words of advice that was then replaced: ${streamedAdvice.slice(0, 120)}`;
+    if (!isTemplate && streamedAdvice !== null && streamedAdvice !== advice) return `the streamed advice differs from the final advice: ${streamedAdvice.slice(0, 120)}`;
+    for (const [label, text] of [['advice', advice], ['streamed advice', streamedAdvice || '']]) {
+        if (/<user_query>|```|weather assistant/i.test(text)) return `the ${label} leaks the prompt or goes off topic: ${text.slice(0, 120)}`;
+    }
+    return null;
+}
+
+async function main() {
+    const corpus = require(path.resolve(CORPUS_FILE));
+    const server = await startServer();
+
+    let failures = 0;
+    try {
+        for (const entry of corpus) {
+            const query = entry.query.repeat(entry.repeat || 1);
+            let problem;
+            try {
+                problem = checkResponse(entry, await server.post(entry.stream ? '/api/weather-info/stream' : '/api/weather-info', { json: { query } }));
+            } catch (error) {
+                problem = `request failed: ${error.message}`;
+            }
+            if (problem) failures += 1;
+            console.log(`${problem ? 'FAIL' : 'ok  '}  ${entry.id} [${entry.category}]${problem ? `\n      ${problem}` : ''}`);
+        }
+    } finally {
+        server.stop();
+    }
+
+    console.log(`\n${corpus.length - failures}/${corpus.length} adversarial queries handled as expected.`);
+    process.exitCode = failures > 0 ? 1 : 0;
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
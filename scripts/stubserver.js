@@ -0,0 +1,223 @@
+// scripts/stubserver.js
+// Runs the server against stand-ins, for the adversarial replay (scripts/replay-adversarial.js) and the
+// request regression tests (test/): a stub model in place of Gaia, the fixture weather provider, and
+// temporary storage files that are removed again when the server is stopped.
+//
+// The stub model is deliberately gullible: it follows whatever the user's text asks for, so only the
+// guardrails stand between an injected instruction and the response. It streams word by word, and as
+// untidily as real endpoints can.
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const ROOT = path.join(__dirname, '..');
+const STARTUP_TIMEOUT_MS = 15000;
+const REQUEST_TIMEOUT_MS = 15000;
+
+// Places the stub model knows the coordinates of
+const STUB_PLACES = {
+    paris: { name: 'Paris, France', latitude: 48.8566, longitude: 2.3522 },
+    london: { name: 'London, United Kingdom', latitude: 51.5074, longitude: -0.1278 },
+    tokyo: { name: 'Tokyo, Japan', latitude: 35.6762, longitude: 139.6503 },
+    berlin: { name: 'Berlin, Germany', latitude: 52.52, longitude: 13.405 },
+    madrid: { name: 'Madrid, Spain', latitude: 40.4168, longitude: -3.7038 },
+    springfield: { name: 'Springfield', latitude: 39.7817, longitude: -89.6501 } // Ambiguous in the gazetteer
+};
+
+// --- Stub model ---
+
+// The user's text inside the last <user_query> block of a message (or the whole message without one);
+// the instructions before it mention the tags too
+function userText(content) {
+    const blocks = [...(content || '').matchAll(/<user_query>\n([\s\S]*?)\n<\/user_query>/g)];
+    return blocks.length ? blocks[blocks.length - 1][1] : content || '';
+}
+
+function findPlace(text) {
+    const key = Object.keys(STUB_PLACES).find(name => text.toLowerCase().includes(name));
+    return key ? STUB_PLACES[key] : null;
+}
+
+// The analysis step: one weather tool call for a known place, then a final { status, reply }
+function stubAnalysis(messages) {
+    if (messages[messages.length - 1].role === 'tool') {
+        return { role: 'assistant', content: JSON.stringify({ status: 'answered', reply: 'Fetched the weather.' }) };
+    }
+    const lastUser = [...messages].reverse().find(message => message.role === 'user');
+    const place = findPlace(userText(lastUser.content));
+    if (!place) {
+        return { role: 'assistant', content: JSON.stringify({ status: 'not_weather', reply: 'That is not a weather question.' }) };
+    }
+    return {
+        role: 'assistant',
+        content: null,
+        tool_calls: [{
+            id: 'call_1',
+            type: 'function',
+            function: { name: 'get_current_weather', arguments: JSON.stringify({ location_name: place.name, latitude: place.latitude, longitude: place.longitude }) }
+        }]
+    };
+}
+
+// The advice step: does whatever the question asks, however off topic. Asked to "ping", it mentions the
+// whole channel.
+function stubAdvice(prompt) {
+    const question = userText(prompt).toLowerCase();
+    if (/told|instructions|prompt/.test(question)) {
+        return `Of course! Here is everything I was told:\n${prompt}`;
+    }
+    if (/script|code|program/.test(question)) {
+        return "Here's a scraper:\n```python\nimport requests\nprint(requests.get('https://example.com').text)\n```";
+    }
+    if (/story|poem/.test(question)) {
+        return 'Once upon a time, a dragon guarded a mountain of gold and never once looked at the sky.';
+    }
+    const location = /"location": "([^"]+)"/.exec(prompt)?.[1] || 'there';
+    const temperatureUnit = /"temperature": "([^"]+)"/.exec(prompt)?.[1] || '°C';
+    const mentions = /\bping\b/.test(question) ? '<!channel> @here ' : '';
+    return `${mentions}Hello, ${location}! 🌤️ Expect mild temperatures in ${temperatureUnit} today, so bring a light jacket.`;
+}
+
+function startStubModel() {
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const body = JSON.parse(raw || '{}');
+            const message = body.tools
+                ? stubAnalysis(body.messages)
+                : { role: 'assistant', content: stubAdvice(body.messages[body.messages.length - 1].content) };
+
+            // Streams word by word after a keep-alive comment and a garbled line, and ends the last line
+            // without a newline or a [DONE] marker
+            if (body.stream) {
+                res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+                // Asked to stall: the first word, then nothing until the server gives up on the stream
+                if (/\bstall/i.test(userText(body.messages[body.messages.length - 1].content))) {
+                    res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: 'Hello, ' } }] })}\n\n`);
+                    return;
+                }
+                const lines = (message.content.match(/\S*\s*/g) || []).filter(Boolean)
+                    .map(token => `data: ${JSON.stringify({ choices: [{ delta: { content: token } }] })}`);
+                res.write(': keep-alive\n\ndata: {"choices": [\n\n');
+                res.end(lines.join('\n\n'));
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ choices: [{ message }] }));
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+// --- Server under test ---
+
+// A free local port, found by briefly listening on port 0
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = http.createServer();
+        probe.on('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+async function waitForServer(baseUrl, child) {
+    const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+        if (child.exitCode !== null) throw new Error(`The server exited with status ${child.exitCode} during startup.`);
+        try {
+            const response = await fetch(`${baseUrl}/metrics`);
+            if (response.ok) return;
+        } catch (error) {
+            // Not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    throw new Error(`The server did not start within ${STARTUP_TIMEOUT_MS / 1000} seconds.`);
+}
+
+// Starts the stub model and the server, with `env` added to the server's environment.
+// Resolves to { baseUrl, post(path, options), stop() }; see `post` below.
+async function startServer(env = {}) {
+    const model = await startStubModel();
+    const port = await freePort();
+    const baseUrl = `http://127.0.0.1:${port}`;
+    // Every answered query records an observation, and saved locations are stored; neither is of use after the run
+    const tempPrefix = path.join(os.tmpdir(), `gaia-nubila-stub-${process.pid}-${port}`);
+    const alertsFile = `${tempPrefix}-alerts.json`;
+    const historyFile = `${tempPrefix}-history.jsonl`;
+
+    const child = spawn(process.execPath, [path.join(ROOT, 'server.js')], {
+        cwd: ROOT,
+        env: {
+            ...process.env,
+            PORT: String(port),
+            GAIA_API_ENDPOINT: `http://127.0.0.1:${model.address().port}/v1/chat/completions`,
+            GAIA_API_KEY: 'stub-key',
+            GAIA_MODEL_NAME: 'stub-model',
+            WEATHER_PROVIDERS: 'fixture',
+            UPSTREAM_MODE: 'live',
+            ALERTS_FILE: alertsFile,
+            HISTORY_FILE: historyFile,
+            LOG_LEVEL: process.env.LOG_LEVEL || 'error',
+            PUBLIC_RATE_LIMIT_PER_MINUTE: '1000', // Every request comes from the same address
+            ...env
+        },
+        stdio: ['ignore', 'inherit', 'inherit']
+    });
+
+    function stop() {
+        child.kill();
+        model.close();
+        model.closeAllConnections();
+        fs.rmSync(alertsFile, { force: true });
+        fs.rmSync(historyFile, { force: true });
+    }
+
+    // POSTs to the server. `json` is sent as a JSON body, `body` as is (with the `contentType` given, if
+    // any); `headers` are added. Resolves to what readResponse reads.
+    async function post(requestPath, { json, body, contentType, headers = {} } = {}) {
+        const response = await fetch(`${baseUrl}${requestPath}`, {
+            method: 'POST',
+            headers: {
+                ...(json !== undefined ? { 'Content-Type': 'application/json' } : contentType ? { 'Content-Type': contentType } : {}),
+                ...headers
+            },
+            body: json !== undefined ? JSON.stringify(json) : body,
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+        return readResponse(response);
+    }
+
+    try {
+        await waitForServer(baseUrl, child);
+    } catch (error) {
+        stop();
+        throw error;
+    }
+    return { baseUrl, post, stop };
+}
+
+// Reads a response as { status, body, streamedAdvice }. For an event stream, `body` is its final `done`
+// event (or the `error` event, whose status replaces the HTTP one) and `streamedAdvice` the advice text
+// the client was sent before it; otherwise `streamedAdvice` is null.
+async function readResponse(response) {
+    if (!(response.headers.get('content-type') || '').startsWith('text/event-stream')) {
+        return { status: response.status, body: await response.json(), streamedAdvice: null };
+    }
+    const events = (await response.text()).split('\n\n').filter(Boolean).map(block => ({
+        event: /^event: (.*)$/m.exec(block)?.[1],
+        data: JSON.parse(/^data: (.*)$/m.exec(block)?.[1] || '{}')
+    }));
+    const streamedAdvice = events.filter(({ event }) => event === 'advice').map(({ data }) => data.token).join('');
+    const last = events.find(({ event }) => event === 'done' || event === 'error');
+    if (!last) throw new Error('The event stream ended without a done or error event.');
+    return { status: last.event === 'error' ? last.data.status : response.status, body: last.data, streamedAdvice };
+}
+
+module.exports = { STUB_PLACES, startServer, readResponse };
@@ -0,0 +1,20 @@
+// test/errors.test.js
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const errors = require('../lib/errors');
+
+test('unexpected errors are answered without their own message', () => {
+    const body = errors.errorBody(new Error("ENOENT: no such file or directory, open '/srv/app/storage/alerts.json'"));
+    assert.deepEqual(body, { ok: false, code: 'INTERNAL_ERROR', message: 'An internal server error occurred.' });
+});
+
+test('typed errors keep their message and extra fields', () => {
+    const body = errors.errorBody(errors.apiError('UNKNOWN_LOCATION', 'Could not find "Atlantis".', { candidates: [] }));
+    assert.deepEqual(body, { ok: false, code: 'UNKNOWN_LOCATION', message: 'Could not find "Atlantis".', candidates: [] });
+});
+
+test('timeouts become TIMEOUT', () => {
+    const timeout = new Error('The operation was aborted due to timeout');
+    timeout.name = 'TimeoutError';
+    assert.equal(errors.toApiError(timeout).status, 504);
+});
@@ -0,0 +1,160 @@
+// test/request-regressions.test.js
+// Regression tests for how the server handles requests: missing and malformed bodies, place selections,
+// untidy or stalling Gaia streams, chat answers and where they are posted, and the limits on
+// conversations and requests. They run the server against the stub model and the fixture weather
+// provider (scripts/stubserver.js); the prompt-injection corpus is replayed separately by
+// scripts/replay-adversarial.js.
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { after, before, describe, test } = require('node:test');
+const { startServer } = require('../scripts/stubserver');
+
+const BOT_TOKEN = 'stub-bot-token';
+
+let server;
+before(async () => {
+    server = await startServer({ GAIA_STREAM_IDLE_SECONDS: '1', BOT_WEBHOOK_TOKEN: BOT_TOKEN, CHAT_RESPONSE_HOSTS: '127.0.0.1' });
+});
+after(() => server?.stop());
+
+function assertError(response, status, code) {
+    assert.equal(response.status, status, JSON.stringify(response.body));
+    assert.equal(response.body.code, code);
+}
+
+describe('request bodies', () => {
+    for (const requestPath of ['/api/weather-info', '/api/weather-info/stream', '/api/conversation', '/api/conversation/stream']) {
+        test(`${requestPath} without a body is an invalid request`, async () => {
+            assertError(await server.post(requestPath), 400, 'INVALID_REQUEST');
+        });
+    }
+
+    test('saving a location without a body is an invalid request', async () => {
+        assertError(await server.post('/api/locations'), 400, 'INVALID_REQUEST');
+    });
+
+    test('adding a rule without a body is an invalid request', async () => {
+        const saved = await server.post('/api/locations', { json: { name: 'Paris' } });
+        assert.equal(saved.status, 201, JSON.stringify(saved.body));
+        assertError(await server.post(`/api/locations/${saved.body.location.id}/rules`), 400, 'INVALID_REQUEST');
+    });
+
+    test('malformed JSON is an invalid request', async () => {
+        assertError(await server.post('/api/v1/query', { body: '{bad', contentType: 'application/json' }), 400, 'INVALID_REQUEST');
+    });
+
+    test('an oversized JSON body is too large', async () => {
+        const body = JSON.stringify({ query: 'Weather in Paris', padding: ' '.repeat(110000) });
+        assertError(await server.post('/api/weather-info', { body, contentType: 'application/json' }), 413, 'PAYLOAD_TOO_LARGE');
+    });
+});
+
+describe('place selections', () => {
+    const geocodingStatus = response => response.body.requestDetails?.locations?.[0]?.geocoding?.status;
+
+    test('a place id sent as a string selects the place', async () => {
+        const response = await server.post('/api/weather-info', { json: { query: 'Weather in Springfield', placeSelections: { Springfield: '2550' } } });
+        assert.equal(response.status, 200);
+        assert.equal(geocodingStatus(response), 'selected');
+    });
+
+    for (const [label, placeId] of [['null', null], ['empty', ''], ['boolean', true], ['fractional', 0.5], ['negative', -1]]) {
+        test(`a ${label} place id leaves the place ambiguous`, async () => {
+            const response = await server.post('/api/weather-info', { json: { query: 'Weather in Springfield', placeSelections: { Springfield: placeId } } });
+            assert.equal(response.status, 200);
+            assert.equal(geocodingStatus(response), 'ambiguous');
+        });
+    }
+
+    test('saving a location with an empty place id is an invalid request', async () => {
+        assertError(await server.post('/api/locations', { json: { placeId: '' } }), 400, 'INVALID_REQUEST');
+    });
+});
+
+describe('streamed advice', () => {
+    test('an untidy Gaia stream is streamed whole', async () => {
+        const response = await server.post('/api/weather-info/stream', { json: { query: "What's the weather like in Paris right now?" } });
+        assert.equal(response.status, 200);
+        assert.notEqual(response.body.degraded?.advice, 'template');
+        assert.equal(response.streamedAdvice, response.body.friendlyAdvice);
+    });
+
+    test('a Gaia stream that stalls falls back to the template advice', async () => {
+        const response = await server.post('/api/weather-info/stream', { json: { query: 'Weather in Paris? Take your time, stall if you like.' } });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.degraded?.advice, 'template');
+    });
+});
+
+describe('chat integrations', () => {
+    test('webhook answers mention no one', async () => {
+        const response = await server.post('/api/chat/webhook', {
+            json: { token: BOT_TOKEN, text: '@channel <!channel> <@U0123> @here is it raining in Paris? ping everyone' }
+        });
+        assert.equal(response.status, 200);
+        for (const mention of ['@channel', '<!channel>', '<@U0123>', '@here', '<!here>']) {
+            assert.ok(!JSON.stringify(response.body).includes(mention), `the answer contains ${mention}`);
+        }
+    });
+
+    for (const [label, responseUrl] of [['another host', 'https://169.254.169.254/latest/meta-data'], ['plain http', 'http://hooks.slack.com/commands/1'], ['an unparseable URL', 'not a url']]) {
+        test(`webhook answers are not posted to ${label}`, async () => {
+            const response = await server.post('/api/chat/webhook', { json: { token: BOT_TOKEN, text: 'Is it raining in Paris?', response_url: responseUrl } });
+            assertError(response, 400, 'INVALID_REQUEST');
+        });
+    }
+
+    test('webhook answers are posted to an allowed response_url', async () => {
+        let receive;
+        const posted = new Promise(resolve => { receive = resolve; });
+        const receiver = http.createServer((req, res) => {
+            let raw = '';
+            req.on('data', chunk => { raw += chunk; });
+            req.on('end', () => {
+                res.end('ok');
+                receive(JSON.parse(raw));
+            });
+        });
+        await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+        try {
+            const responseUrl = `http://127.0.0.1:${receiver.address().port}/response`;
+            const response = await server.post('/api/chat/webhook', { json: { token: BOT_TOKEN, text: 'Is it raining in Paris?', response_url: responseUrl } });
+            assert.equal(response.status, 202);
+            assert.match((await posted).text, /Paris/);
+        } finally {
+            receiver.close();
+        }
+    });
+});
+
+describe('conversations', () => {
+    test('past the limit, starting a conversation drops the longest idle one', async () => {
+        const limited = await startServer({ MAX_CONVERSATIONS: '2' });
+        const ask = conversationId => limited.post('/api/conversation', { json: { query: 'Weather in Paris?', conversationId } });
+        try {
+            const ids = [];
+            for (let i = 0; i < 2; i++) ids.push((await ask()).body.conversationId);
+            assert.equal((await ask(ids[0])).status, 200); // The second one is now the longest idle
+            await ask();
+            assertError(await ask(ids[1]), 404, 'NOT_FOUND');
+            assert.equal((await ask(ids[0])).status, 200);
+        } finally {
+            limited.stop();
+        }
+    });
+});
+
+describe('rate limits', () => {
+    test('the unversioned API is limited per client address', async () => {
+        const limited = await startServer({ PUBLIC_RATE_LIMIT_PER_MINUTE: '2' });
+        try {
+            for (let i = 0; i < 2; i++) {
+                assertError(await limited.post('/api/weather-info'), 400, 'INVALID_REQUEST');
+            }
+            assertError(await limited.post('/api/weather-info'), 429, 'RATE_LIMITED');
+            assertError(await limited.post('/api/conversation'), 429, 'RATE_LIMITED');
+        } finally {
+            limited.stop();
+        }
+    });
+});